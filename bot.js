@@ -1,7 +1,11 @@
 require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
 const { App } = require('@slack/bolt');
 const { Pool } = require('pg');
 const Anthropic = require('@anthropic-ai/sdk');
+const { Parser } = require('node-sql-parser');
+const ExcelJS = require('exceljs');
 
 // Create PostgreSQL connection pool
 const pool = new Pool({
@@ -15,18 +19,15 @@ const pool = new Pool({
   connectionTimeoutMillis: 2000,
 });
 
-// Initialize Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
 // Initialize Slack app
 const app = new App({
   token: process.env.SLACK_BOT_TOKEN,
   signingSecret: process.env.SLACK_SIGNING_SECRET,
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN,
-  port: process.env.PORT || 3000
+  port: process.env.PORT || 3000,
+  // Connect to Slack on startup only, so the pipeline can be loaded without it (see eval/run-eval.js)
+  deferInitialization: true
 });
 
 // Test database connection on startup
@@ -41,64 +42,852 @@ async function testDatabaseConnection() {
   }
 }
 
-// Query database function
-async function queryDatabase(sql) {
+// Schema catalog: live columns and known values for the tables the bot can read.
+// Built at startup and refreshed on a timer so the prompt, keyword checks and
+// fallback parser all see the same, current schema.
+const SCHEMA_REFRESH_MS = parseInt(process.env.SCHEMA_REFRESH_MS, 10) || 15 * 60 * 1000;
+const LOW_CARDINALITY_LIMIT = parseInt(process.env.LOW_CARDINALITY_LIMIT, 10) || 50;
+const TEXT_TYPES = ['character varying', 'character', 'text'];
+const RANGE_TYPES = ['integer', 'bigint', 'smallint', 'numeric', 'real', 'double precision', 'date', 'timestamp without time zone', 'timestamp with time zone'];
+
+// Business notes for known columns (columns without a note are still listed)
+const COLUMN_NOTES = {
+  id: 'primary key',
+  sale_date: 'format: YYYY-MM-DD',
+  product_name: 'specific product names',
+  revenue: 'dollar amount per sale transaction',
+  rating: 'product rating',
+  quantity_sold: 'number of items in each sale'
+};
+
+const schemaCatalog = {
+  tables: {},        // table → { columns: [{ name, dataType }], values: { column: [...] }, ranges: { column: { min, max } } }
+  refreshedAt: null
+};
+
+// Quote an identifier taken from information_schema
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Quote a known value as a SQL string literal
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Load columns, low-cardinality values and value ranges for one table
+async function loadTableCatalog(table) {
+  const columnsResult = await pool.query(
+    `SELECT column_name, data_type
+     FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1
+     ORDER BY ordinal_position`,
+    [table]
+  );
+  
+  const entry = { columns: [], values: {}, ranges: {} };
+  
+  for (const row of columnsResult.rows) {
+    const column = row.column_name;
+    entry.columns.push({ name: column, dataType: row.data_type });
+    
+    if (TEXT_TYPES.includes(row.data_type)) {
+      // One extra row tells us whether the column is over the limit
+      const distinct = await pool.query(
+        `SELECT DISTINCT ${quoteIdentifier(column)} AS value FROM ${quoteIdentifier(table)}
+         WHERE ${quoteIdentifier(column)} IS NOT NULL ORDER BY 1 LIMIT ${LOW_CARDINALITY_LIMIT + 1}`
+      );
+      if (distinct.rows.length <= LOW_CARDINALITY_LIMIT) {
+        entry.values[column] = distinct.rows.map(r => r.value);
+      }
+    } else if (RANGE_TYPES.includes(row.data_type) && column !== 'id') {
+      const range = await pool.query(
+        `SELECT MIN(${quoteIdentifier(column)}) AS min, MAX(${quoteIdentifier(column)}) AS max FROM ${quoteIdentifier(table)}`
+      );
+      entry.ranges[column] = range.rows[0];
+    }
+  }
+  
+  return entry;
+}
+
+// Rebuild the catalog from the database (keeps the previous catalog if a refresh fails)
+async function refreshSchemaCatalog() {
   try {
-    const result = await pool.query(sql);
-    return result.rows;
+    const tables = {};
+    for (const table of ALLOWED_TABLES) {
+      tables[table] = await loadTableCatalog(table);
+      if (tables[table].columns.length === 0) {
+        console.warn(`⚠️ Table ${table} has no columns or does not exist`);
+      }
+    }
+    
+    schemaCatalog.tables = tables;
+    schemaCatalog.refreshedAt = new Date();
+    console.log(`✅ Schema catalog refreshed (${Object.keys(tables).join(', ')})`);
+    return true;
+  } catch (error) {
+    console.error('Schema catalog refresh failed:', error.message);
+    return false;
+  }
+}
+
+// Column names of a table from the catalog
+function catalogColumns(table = 'sales_data') {
+  const entry = schemaCatalog.tables[table];
+  return entry ? entry.columns.map(c => c.name) : [];
+}
+
+// Known values of a low-cardinality column (empty if unknown or high-cardinality)
+function knownValues(column, table = 'sales_data') {
+  const entry = schemaCatalog.tables[table];
+  return (entry && entry.values[column]) || [];
+}
+
+// Find which known value of a column the question mentions (e.g. "electronics" → 'Electronics')
+function findMentionedValue(question, column, table = 'sales_data') {
+  return findMentionedValues(question, column, table)[0] || null;
+}
+
+// Find every known value of a column the question mentions, in the order they're mentioned (without overlaps)
+function findMentionedValues(question, column, table = 'sales_data') {
+  const normalize = text => ` ${String(text).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim()} `;
+  let q = normalize(question);
+  
+  // Longest values first so "Sports & Outdoors" wins over a shorter overlapping value
+  const values = [...knownValues(column, table)].sort((a, b) => String(b).length - String(a).length);
+  const found = [];
+  for (const value of values) {
+    const needle = normalize(value);
+    const index = q.indexOf(needle);
+    if (index === -1) continue;
+    found.push({ value, index });
+    q = q.slice(0, index) + ' '.repeat(needle.length) + q.slice(index + needle.length);
+  }
+  return found.sort((a, b) => a.index - b.index).map(({ value }) => value);
+}
+
+// Describe the catalog for the SQL generation prompt
+function describeSchemaForPrompt() {
+  return Object.entries(schemaCatalog.tables).map(([table, entry]) => {
+    const columns = entry.columns.map(({ name, dataType }) => {
+      const details = [];
+      if (COLUMN_NOTES[name]) details.push(COLUMN_NOTES[name]);
+      if (entry.values[name]) {
+        details.push(`EXACT values: ${entry.values[name].map(v => `'${v}'`).join(', ')}`);
+      }
+      if (entry.ranges[name] && entry.ranges[name].min !== null) {
+        const { min, max } = entry.ranges[name];
+        const show = v => (v instanceof Date ? v.toISOString().slice(0, 10) : v);
+        details.push(`range: ${show(min)} to ${show(max)}`);
+      }
+      return `- ${name} (${dataType})${details.length ? ' - ' + details.join('; ') : ''}`;
+    }).join('\n');
+    
+    return `Table: ${table}\nColumns:\n${columns}`;
+  }).join('\n\n');
+}
+
+// SQL safety limits for every query the bot runs
+const QUERY_TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS, 10) || 10000;
+const MAX_RESULT_ROWS = parseInt(process.env.MAX_RESULT_ROWS, 10) || 1000;
+
+// Tables generated SQL is allowed to read (their columns come from the schema catalog)
+const ALLOWED_TABLES = (process.env.ALLOWED_TABLES || 'sales_data').split(',').map(t => t.trim()).filter(Boolean);
+
+// Functions generated SQL is allowed to call (anything else is rejected, e.g. pg_sleep, pg_read_file)
+const ALLOWED_SQL_FUNCTIONS = new Set([
+  'count', 'sum', 'avg', 'min', 'max', 'round', 'abs', 'ceil', 'ceiling', 'floor',
+  'coalesce', 'nullif', 'greatest', 'least', 'stddev', 'stddev_pop', 'stddev_samp', 'variance',
+  'percentile_cont', 'percentile_disc', 'string_agg', 'array_agg', 'bool_and', 'bool_or',
+  'row_number', 'rank', 'dense_rank', 'ntile', 'lag', 'lead', 'first_value', 'last_value',
+  'lower', 'upper', 'initcap', 'trim', 'btrim', 'ltrim', 'rtrim', 'length', 'substring', 'substr',
+  'left', 'right', 'concat', 'replace', 'split_part', 'position',
+  'date_trunc', 'date_part', 'extract', 'to_char', 'to_date', 'age', 'make_date', 'make_interval',
+  'current_date', 'current_timestamp', 'now', 'localtimestamp'
+]);
+
+const sqlParser = new Parser();
+const SQL_DIALECT = { database: 'PostgresQL' };
+
+// Raised when generated SQL fails the safety checks
+class UnsafeQueryError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = 'UnsafeQueryError';
+  }
+}
+
+// Collect function names, output aliases and CTE names used anywhere in a parsed query
+function collectSqlIdentifiers(node, found = { functions: [], aliases: new Set(), ctes: new Set() }) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectSqlIdentifiers(child, found));
+    return found;
+  }
+  if (!node || typeof node !== 'object') return found;
+  
+  if (node.type === 'aggr_func' && typeof node.name === 'string') {
+    found.functions.push(node.name.toLowerCase());
+  } else if (node.type === 'function' && node.name) {
+    const parts = node.name.name || [];
+    found.functions.push(parts.map(p => String(p.value)).join('.').toLowerCase());
+  } else if (node.type === 'extract') {
+    found.functions.push('extract');
+  }
+  
+  if (typeof node.as === 'string') found.aliases.add(node.as.toLowerCase());
+  if (Array.isArray(node.with)) {
+    node.with.forEach(cte => {
+      const name = cte.name && (cte.name.value || cte.name);
+      if (typeof name === 'string') found.ctes.add(name.toLowerCase());
+    });
+  }
+  
+  Object.values(node).forEach(child => collectSqlIdentifiers(child, found));
+  return found;
+}
+
+// Validate that SQL is a single read-only SELECT over allow-listed tables, columns and functions
+function validateSql(sql) {
+  const cleaned = String(sql || '').trim().replace(/;+\s*$/, '');
+  if (!cleaned) {
+    throw new UnsafeQueryError('The generated query was empty.');
+  }
+  
+  let ast;
+  try {
+    ast = sqlParser.astify(cleaned, SQL_DIALECT);
+  } catch (error) {
+    throw new UnsafeQueryError('The generated query could not be parsed as a plain SELECT statement.');
+  }
+  
+  if (Array.isArray(ast)) {
+    if (ast.length !== 1) {
+      throw new UnsafeQueryError('Only a single SQL statement is allowed.');
+    }
+    ast = ast[0];
+  }
+  
+  if (!ast || ast.type !== 'select') {
+    throw new UnsafeQueryError(`Only SELECT queries are allowed (got ${String(ast && ast.type).toUpperCase()}).`);
+  }
+  if (ast.into && ast.into.expr) {
+    throw new UnsafeQueryError('SELECT ... INTO is not allowed.');
+  }
+  
+  const { functions, aliases, ctes } = collectSqlIdentifiers(ast);
+  
+  // Every statement part must be a read from an allow-listed table (or a CTE defined in the query)
+  for (const entry of sqlParser.tableList(cleaned, SQL_DIALECT)) {
+    const [operation, schema, table] = entry.split('::');
+    if (operation !== 'select') {
+      throw new UnsafeQueryError(`${operation.toUpperCase()} operations are not allowed.`);
+    }
+    const tableName = String(table).toLowerCase();
+    if (ctes.has(tableName) && schema === 'null') continue;
+    if (!ALLOWED_TABLES.includes(tableName) || (schema !== 'null' && schema !== 'public')) {
+      throw new UnsafeQueryError(`Table \`${table}\` is not available to the bot.`);
+    }
+  }
+  
+  const allowedColumns = new Set(ALLOWED_TABLES.flatMap(table => catalogColumns(table)));
+  for (const entry of sqlParser.columnList(cleaned, SQL_DIALECT)) {
+    const column = entry.split('::')[2];
+    if (column === '(.*)') continue;
+    const columnName = column.toLowerCase();
+    if (!allowedColumns.has(columnName) && !aliases.has(columnName)) {
+      throw new UnsafeQueryError(`Column \`${column}\` is not available to the bot.`);
+    }
+  }
+  
+  const blockedFunction = functions.find(name => !ALLOWED_SQL_FUNCTIONS.has(name));
+  if (blockedFunction) {
+    throw new UnsafeQueryError(`Function \`${blockedFunction}\` is not allowed.`);
+  }
+  
+  return cleaned;
+}
+
+// Query database function (validated, read-only, time- and row-limited, scoped to the caller's access).
+// Returns { rows, truncated }, where truncated says the query had more rows than the cap.
+async function queryDatabase(sql, options = {}) {
+  const maxRows = options.maxRows || MAX_RESULT_ROWS;
+  const safeSql = validateSql(sql);
+  
+  // Fail closed: with access rules loaded, every query must say whose access it runs under
+  if (accessRules && !options.access) {
+    throw new AccessDeniedError('This query has no access context.');
+  }
+  const accessScope = buildAccessScope(safeSql, options.access);
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(`SET LOCAL statement_timeout = ${QUERY_TIMEOUT_MS}`);
+    // One row over the cap tells a capped result apart from one that happens to fill it exactly
+    const result = await client.query(`${accessScope}SELECT * FROM (${safeSql}) AS bounded_query LIMIT ${maxRows + 1}`, options.params || []);
+    await client.query('COMMIT');
+    
+    const truncated = result.rows.length > maxRows;
+    if (truncated) {
+      console.warn(`Query result capped at ${maxRows} rows`);
+    }
+    return { rows: truncated ? result.rows.slice(0, maxRows) : result.rows, truncated: truncated };
   } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
     console.error('Database query error:', error);
+    if (error.code === '57014') {
+      throw new Error(`Database error: query took longer than ${QUERY_TIMEOUT_MS / 1000}s and was cancelled`);
+    }
     throw new Error(`Database error: ${error.message}`);
+  } finally {
+    client.release();
   }
 }
 
-// Generate chart URL using QuickChart
-function generateChartUrl(data, chartType, question) {
+// Build the Slack message shown when a query is rejected by the safety checks
+function formatRejectedQueryMessage(error) {
+  return `🚫 I couldn't run that query because it didn't pass the safety checks: ${error.message}\n\nI can only read sales data with a single SELECT query. Try rephrasing your question, e.g. "What are the top 5 products by revenue?"`;
+}
+
+// Semantic layer: the named metrics and dimensions both SQL paths compose queries from, loaded from METRICS_FILE,
+// so "top", "best-selling" or "average order value" mean the same thing whichever path answers.
+const METRICS_FILE = process.env.METRICS_FILE || `${__dirname}/metrics.json`;
+const REQUIRED_METRICS = ['revenue', 'units', 'orders', 'rating'];   // alerts and prompt examples refer to these
+const REQUIRED_DIMENSIONS = ['category', 'country', 'product'];      // the columns questions filter and compare by value
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+let semanticLayer = null;   // { defaultMetric, clarifyRankingBy, metrics: { key: {...} }, dimensions: { key: {...} } } once loaded
+
+// Load and check the metrics catalog (returns false if it is missing or unusable)
+function loadSemanticLayer() {
+  try {
+    const config = JSON.parse(fs.readFileSync(METRICS_FILE, 'utf8'));
+    const metrics = config.metrics || {};
+    const dimensions = config.dimensions || {};
+    
+    const missing = [
+      ...REQUIRED_METRICS.filter(key => !metrics[key]).map(key => `metric "${key}"`),
+      ...REQUIRED_DIMENSIONS.filter(key => !dimensions[key]).map(key => `dimension "${key}"`)
+    ];
+    if (missing.length > 0) throw new Error(`missing ${missing.join(', ')}`);
+    if (!metrics[config.defaultMetric]) throw new Error(`"defaultMetric" must name one of the metrics`);
+    const clarifyRankingBy = config.clarifyRankingBy || [];
+    if (!Array.isArray(clarifyRankingBy) || clarifyRankingBy.some(key => !metrics[key])) {
+      throw new Error(`"clarifyRankingBy" must list metric keys`);
+    }
+    
+    // Every composed expression has to pass the same safety checks as generated SQL
+    Object.entries(metrics).forEach(([key, metric]) => {
+      if (!metric.label || !IDENTIFIER_PATTERN.test(metric.alias || '') || typeof metric.expression !== 'string') {
+        throw new Error(`metric "${key}" needs a "label", a lowercase "alias" and an "expression"`);
+      }
+      if (metric.minSampleSize !== undefined && !(Number.isInteger(metric.minSampleSize) && metric.minSampleSize > 0)) {
+        throw new Error(`metric "${key}" has an invalid "minSampleSize"`);
+      }
+      validateSql(`SELECT ${composeMetricSql(metric)} AS ${metric.alias}, ${composeMetricSql(metric, 'true')} FROM sales_data`);
+    });
+    Object.entries(dimensions).forEach(([key, dimension]) => {
+      if (typeof dimension.expression !== 'string' || !IDENTIFIER_PATTERN.test(dimension.alias || '')) {
+        throw new Error(`dimension "${key}" needs an "expression" and a lowercase "alias"`);
+      }
+      validateSql(`SELECT ${dimension.expression} AS ${dimension.alias} FROM sales_data`);
+    });
+    
+    semanticLayer = { defaultMetric: config.defaultMetric, clarifyRankingBy: clarifyRankingBy, metrics: metrics, dimensions: dimensions };
+    console.log(`✅ Loaded ${Object.keys(metrics).length} metrics and ${Object.keys(dimensions).length} dimensions from ${METRICS_FILE}`);
+    return true;
+  } catch (error) {
+    console.error(`Could not load the metrics catalog from ${METRICS_FILE}:`, error.message);
+    return false;
+  }
+}
+
+// A metric's SQL: {column} placeholders become the column, or a CASE on the condition when it's restricted
+// to part of the rows (period and side-by-side comparisons), then COALESCE and ROUND as configured
+function composeMetricSql(metric, condition = null) {
+  let sql = metric.expression.replace(/\{(\*|[a-z_][a-z0-9_]*)\}/g, (match, column) => {
+    if (!condition) return column;
+    return `CASE WHEN ${condition} THEN ${column === '*' ? '1' : column} END`;
+  });
+  if (condition && metric.zeroWhenEmpty) sql = `COALESCE(${sql}, 0)`;
+  return Number.isInteger(metric.decimals) ? `ROUND(${sql}, ${metric.decimals})` : sql;
+}
+
+// SQL for a catalog metric by key
+function metricSql(key, condition = null) {
+  return composeMetricSql(semanticLayer.metrics[key], condition);
+}
+
+// "ROUND(SUM(revenue), 2) AS total_revenue"
+function metricSelect(key) {
+  return `${metricSql(key)} AS ${semanticLayer.metrics[key].alias}`;
+}
+
+// How a metric reads in explanations: "Total revenue", "Average rating"
+function metricTitle(key) {
+  const { label, zeroWhenEmpty } = semanticLayer.metrics[key];
+  const title = zeroWhenEmpty && !/^(total|number|average)\b/.test(label) ? `total ${label}` : label;
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+// Escape text for use inside a regular expression
+function escapePattern(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Which catalog metric a (lowercased) question names; the longest matching synonym wins, so
+// "how many sales" is a count while "sales" is revenue (null if no metric is named)
+function findMentionedMetric(text) {
+  let best = null;
+  for (const [key, metric] of Object.entries(semanticLayer.metrics)) {
+    for (const synonym of [key.replace(/_/g, ' '), ...(metric.synonyms || [])]) {
+      const pattern = new RegExp(`(^|[^a-z0-9])${escapePattern(synonym.toLowerCase())}(?=$|[^a-z0-9])`);
+      if (pattern.test(text) && (!best || synonym.length > best.synonym.length)) best = { key, synonym };
+    }
+  }
+  return best ? best.key : null;
+}
+
+// Regex alternation of the words naming dimensions, longest first (time dimensions or the others)
+function dimensionWordsPattern(time, filter = () => true) {
+  const words = Object.values(semanticLayer.dimensions)
+    .filter(dimension => Boolean(dimension.time) === time)
+    .flatMap(dimension => (dimension.synonyms || []).filter(filter))
+    .sort((a, b) => b.length - a.length);
+  return words.map(escapePattern).join('|') || '(?!)';
+}
+
+// The dimension a word names ("countries" → 'country')
+function dimensionForWord(word) {
+  return Object.keys(semanticLayer.dimensions).find(key => (semanticLayer.dimensions[key].synonyms || []).includes(word)) || null;
+}
+
+// Describe the metrics and dimensions for the SQL generation prompt
+function describeSemanticLayerForPrompt() {
+  const quoteWords = words => (words || []).map(word => `"${word}"`).join(', ');
+  const metrics = Object.entries(semanticLayer.metrics).map(([key, metric]) => {
+    const sample = metric.minSampleSize ? `; when ranking groups by it, keep only groups with HAVING COUNT(*) >= ${metric.minSampleSize}` : '';
+    return `- ${metric.label}: ${metricSelect(key)} (asked as ${quoteWords(metric.synonyms)})${sample}`;
+  }).join('\n');
+  const dimensions = Object.values(semanticLayer.dimensions).map(dimension =>
+    `- ${dimension.expression === dimension.alias ? dimension.alias : `${dimension.expression} AS ${dimension.alias}`} (asked as ${quoteWords(dimension.synonyms)})`
+  ).join('\n');
+  
+  return `Metrics (use exactly this SQL and alias for each measure):
+${metrics}
+- Questions that need a measure but don't name one ("sales in Germany") use ${semanticLayer.metrics[semanticLayer.defaultMetric].label}; rankings that don't name one follow the clarifying-question rules
+- Restricted to part of the rows (period or side-by-side comparisons), put the condition inside the aggregate, e.g. ${metricSql(semanticLayer.defaultMetric, "country = 'USA'")}
+
+Dimensions (GROUP BY the expression):
+${dimensions}`;
+}
+
+// Access control: row-level restrictions per Slack user, user group or channel, loaded from ACCESS_RULES_FILE.
+// Without a rules file every query can read every row, as before.
+const ACCESS_RULES_FILE = process.env.ACCESS_RULES_FILE || '';
+const USERGROUP_CACHE_MS = 10 * 60 * 1000;
+const ACCESS_DIMENSIONS = { countries: 'country', categories: 'category' };   // rule key → restricted column
+const UNRESTRICTED_ACCESS = { unrestricted: true, grants: [] };
+
+let accessRules = null;   // { defaultAccess: 'all' | 'none', rules: [...], admins: [user ids] } once a rules file is loaded
+const usergroupMembers = { groups: new Map(), loadedAt: 0 };
+
+class AccessDeniedError extends Error {}
+
+// Load and check the access rules file (returns false if it is set but unusable)
+function loadAccessRules() {
+  if (!ACCESS_RULES_FILE) return true;
+  
+  try {
+    const config = JSON.parse(fs.readFileSync(ACCESS_RULES_FILE, 'utf8'));
+    const rules = config.rules || [];
+    
+    rules.forEach((rule, index) => {
+      if (!rule.user && !rule.usergroup && !rule.channel) {
+        throw new Error(`rule ${index + 1} needs a "user", "usergroup" or "channel"`);
+      }
+      if (rule.access !== 'all' && !Object.keys(ACCESS_DIMENSIONS).some(key => Array.isArray(rule[key]))) {
+        throw new Error(`rule ${index + 1} needs "access": "all" or a list of ${Object.keys(ACCESS_DIMENSIONS).join('/')}`);
+      }
+    });
+    
+    const admins = config.admins || [];
+    if (!Array.isArray(admins) || admins.some(admin => typeof admin !== 'string')) {
+      throw new Error('"admins" must be a list of Slack user IDs');
+    }
+    
+    accessRules = { defaultAccess: config.default === 'all' ? 'all' : 'none', rules: rules, admins: admins };
+    console.log(`✅ Loaded ${rules.length} access rules (default: ${accessRules.defaultAccess})`);
+    return true;
+  } catch (error) {
+    console.error(`Could not load access rules from ${ACCESS_RULES_FILE}:`, error.message);
+    return false;
+  }
+}
+
+// Whether a user is one of the bot admins named in the access rules (needed for workspace-wide actions)
+function isBotAdmin(userId) {
+  return Boolean(accessRules) && accessRules.admins.includes(userId);
+}
+
+// User group IDs a Slack user belongs to (group membership is cached; empty if it can't be read)
+async function userGroupsOf(client, userId) {
+  if (Date.now() - usergroupMembers.loadedAt > USERGROUP_CACHE_MS) {
+    try {
+      const result = await client.usergroups.list({ include_users: true });
+      usergroupMembers.groups = new Map(result.usergroups.map(group => [group.id, new Set(group.users || [])]));
+      usergroupMembers.loadedAt = Date.now();
+    } catch (error) {
+      console.error('Could not load user groups:', error.message);
+    }
+  }
+  
+  return new Set([...usergroupMembers.groups].filter(([, users]) => users.has(userId)).map(([id]) => id));
+}
+
+// Work out what a user can see in a channel: every matching rule adds to their access
+async function resolveAccess({ client, userId, channel }) {
+  if (!accessRules) return UNRESTRICTED_ACCESS;
+  
+  const needsGroups = accessRules.rules.some(rule => rule.usergroup);
+  const groups = needsGroups && userId ? await userGroupsOf(client, userId) : new Set();
+  const matching = accessRules.rules.filter(rule =>
+    (rule.user && rule.user === userId) ||
+    (rule.channel && rule.channel === channel) ||
+    (rule.usergroup && groups.has(rule.usergroup))
+  );
+  
+  if (matching.length === 0) {
+    return accessRules.defaultAccess === 'all' ? UNRESTRICTED_ACCESS : { unrestricted: false, grants: [] };
+  }
+  if (matching.some(rule => rule.access === 'all')) return UNRESTRICTED_ACCESS;
+  
+  // Each grant is one allowed slice of the data, e.g. { country: ['Japan'] }
+  const grants = matching.map(rule => {
+    const grant = {};
+    Object.entries(ACCESS_DIMENSIONS).forEach(([key, column]) => {
+      if (Array.isArray(rule[key])) grant[column] = rule[key];
+    });
+    return grant;
+  });
+  return { unrestricted: false, grants: grants };
+}
+
+// Access both scopes allow: each pair of grants narrows to the values both of them let through
+function intersectAccess(a, b) {
+  if (a.unrestricted) return b;
+  if (b.unrestricted) return a;
+  
+  const grants = a.grants.flatMap(first => b.grants.map(second => {
+    const grant = { ...first };
+    Object.entries(second).forEach(([column, values]) => {
+      grant[column] = grant[column] ? grant[column].filter(value => values.includes(value)) : values;
+    });
+    return grant;
+  }));
+  return { unrestricted: false, grants: grants };
+}
+
+// Access for something a user sets up in one channel that posts to another (reports, alerts): what they can
+// see where they set it up, limited to what the target channel allows
+async function resolvePostingAccess({ client, userId, sourceChannel, targetChannel }) {
+  const source = await resolveAccess({ client, userId, channel: sourceChannel });
+  if (sourceChannel === targetChannel) return source;
+  return intersectAccess(source, await resolveAccess({ client, userId, channel: targetChannel }));
+}
+
+// Describe a restricted user's access for messages (e.g. "country: Japan, South Korea")
+function describeAccess(access) {
+  if (access.unrestricted) return 'all data';
+  if (access.grants.length === 0) return 'no data';
+  
+  return access.grants.map(grant => Object.entries(grant)
+    .map(([column, values]) => `${column}: ${values.join(', ')}`)
+    .join(' and ')).join('; or ');
+}
+
+// Values the question names that the user's access filters out (e.g. "Germany" for the Japan team)
+function findRestrictedMentions(question, access) {
+  if (access.unrestricted) return [];
+  
+  return Object.values(ACCESS_DIMENSIONS).map(column => {
+    const mentioned = findMentionedValue(question, column);
+    if (!mentioned) return null;
+    const visible = access.grants.some(grant => !grant[column] || grant[column].includes(mentioned));
+    return visible ? null : mentioned;
+  }).filter(Boolean);
+}
+
+// Note shown under answers filtered by the user's access (null when nothing is restricted)
+function buildAccessNote(question, access) {
+  if (access.unrestricted) return null;
+  
+  const hidden = findRestrictedMentions(question, access);
+  const hiddenText = hidden.length > 0 ? `You don't have access to ${hidden.join(' or ')} data, so it isn't included. ` : '';
+  return `🔒 ${hiddenText}Results are limited to the data you can access (${describeAccess(access)}).`;
+}
+
+// Row filter for one table under a user's access (TRUE when the table isn't restricted for them)
+function accessPredicate(access, table) {
+  const columns = catalogColumns(table);
+  const grantConditions = access.grants.map(grant => {
+    const conditions = Object.entries(grant)
+      .filter(([column]) => columns.includes(column))
+      .map(([column, values]) => values.length > 0
+        ? `${quoteIdentifier(column)} IN (${values.map(quoteLiteral).join(', ')})`
+        : 'FALSE');
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+  });
+  
+  if (grantConditions.length === 0) return 'FALSE';
+  if (grantConditions.includes('TRUE')) return 'TRUE';
+  return grantConditions.map(condition => `(${condition})`).join(' OR ');
+}
+
+// CTEs that shadow each allow-listed table with only the rows the user may see
+// (validated SQL can only name these tables unqualified, so every read goes through them)
+function buildAccessScope(sql, access) {
+  if (!access || access.unrestricted) return '';
+  if (access.grants.length === 0) {
+    throw new AccessDeniedError("You don't have access to any sales data.");
+  }
+  
+  const qualified = sqlParser.tableList(sql, SQL_DIALECT).find(entry => entry.split('::')[1] !== 'null');
+  if (qualified) {
+    throw new UnsafeQueryError('Schema-qualified table names are not allowed with restricted access.');
+  }
+  
+  const scopes = ALLOWED_TABLES
+    .map(table => ({ table, predicate: accessPredicate(access, table) }))
+    .filter(({ predicate }) => predicate !== 'TRUE')
+    .map(({ table, predicate }) => `${quoteIdentifier(table)} AS (SELECT * FROM public.${quoteIdentifier(table)} WHERE ${predicate})`);
+  
+  return scopes.length > 0 ? `WITH ${scopes.join(', ')} ` : '';
+}
+
+// Build the Slack message shown when the user's access rules don't allow a query
+function formatAccessDeniedMessage(error) {
+  return `🔒 ${error.message} Ask a workspace admin to add you to the bot's access rules.`;
+}
+
+// Slack message for a query blocked by the safety checks or access rules (null for any other error)
+function formatBlockedQueryMessage(error) {
+  if (error instanceof UnsafeQueryError) return formatRejectedQueryMessage(error);
+  if (error instanceof AccessDeniedError) return formatAccessDeniedMessage(error);
+  return null;
+}
+
+// Chart rendering: 'local' renders PNGs on this server, 'quickchart' sends the config to a QuickChart instance
+const CHART_RENDERER = (process.env.CHART_RENDERER || 'local').toLowerCase();
+const QUICKCHART_URL = process.env.QUICKCHART_URL || 'https://quickchart.io';
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 500;
+
+// Chart layout limits
+const MAX_CATEGORY_POINTS = 10;
+const MAX_TIME_POINTS = 366;
+const MAX_CHART_SERIES = 8;
+const TIME_COLUMN_HINTS = ['date', 'day', 'week', 'month', 'quarter', 'year', 'period'];
+
+// Split result columns into dimensions (labels), date dimensions and numeric measures
+function analyzeChartColumns(data) {
+  const keys = Object.keys(data[0]);
+  const valuesOf = key => data.map(row => row[key]).filter(v => v !== null && v !== undefined);
+  const isDate = v => v instanceof Date || (typeof v === 'string' && /^\d{4}-\d{2}(-\d{2})?([T ][\d:.]+(Z|[+-][\d:]+)?)?$/.test(v));
+  const isNumeric = v => typeof v === 'number' || (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)));
+  const isTimeName = key => key.split('_').some(part => TIME_COLUMN_HINTS.includes(part));
+  
+  const dateKeys = keys.filter(key => valuesOf(key).length > 0 && valuesOf(key).every(isDate));
+  const measures = keys.filter(key =>
+    !dateKeys.includes(key) && key !== 'id' && !isTimeName(key) &&
+    valuesOf(key).length > 0 && valuesOf(key).every(isNumeric)
+  );
+  const dimensions = keys.filter(key => !measures.includes(key));
+  
+  return { keys, dateKeys, dimensions, measures };
+}
+
+// Whether results compare periods or entities side by side (they have change, difference or ratio columns)
+function isComparisonResult(data) {
+  return data.length > 0 && Object.keys(data[0]).some(key => isDeltaColumn(key) || isRatioColumn(key));
+}
+
+// Reshape comparison results for charting: the compared periods or entities as grouped series, without the
+// change/difference/ratio columns (a single comparison row becomes one bar per period or entity)
+function comparisonChartData(data) {
+  if (!isComparisonResult(data)) return data;
+  
+  const chartKeys = Object.keys(data[0]).filter(key => !isDeltaColumn(key) && !isRatioColumn(key));
+  const isNumeric = value => value === null || (String(value).trim() !== '' && !isNaN(Number(value)));
+  if (data.length === 1 && chartKeys.length >= 2 && chartKeys.every(key => isNumeric(data[0][key]))) {
+    // "current_total_revenue"/"previous_total_revenue" or "USA revenue"/"Canada revenue" share the metric as a suffix
+    let suffix = chartKeys[0];
+    while (suffix && !chartKeys.every(key => key.endsWith(suffix) && key !== suffix)) suffix = suffix.slice(1);
+    const metricKey = suffix.replace(/^[\s_]+/, '') || 'value';
+    return chartKeys.map(key => ({
+      compared: key.slice(0, key.length - suffix.length).replace(/_/g, ' ').trim().replace(/^\w/, c => c.toUpperCase()),
+      [metricKey]: data[0][key]
+    }));
+  }
+  return data.map(row => Object.fromEntries(chartKeys.map(key => [key, row[key]])));
+}
+
+// Build a Chart.js config for the query results: one or more series, stacked/grouped/horizontal bars, time axes
+function buildChartConfig(results, chartType, question) {
+  const data = comparisonChartData(results);
   const q = question.toLowerCase();
+  const titleCase = key => key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  const toNumber = val => (typeof val === 'string' ? parseFloat(val) : Number(val)) || 0;
   
   // Determine what to chart based on data structure
-  let labels = [];
-  let values = [];
-  let title = 'Data Visualization';
-  let valueLabel = 'Value';
-  
-  // Extract labels and values from data
-  const firstRow = data[0];
-  const keys = Object.keys(firstRow);
+  const { keys, dateKeys, dimensions, measures } = analyzeChartColumns(data);
   
-  // Find label column (category, country, product_name, etc.)
-  const labelKey = keys.find(k => 
+  // Find label column: a date gets a real time axis, otherwise (category, country, product_name, etc.)
+  const labelKey = (chartType !== 'pie' && dateKeys[0]) || dimensions.find(k => 
     k.includes('category') || k.includes('country') || 
     k.includes('product') || k.includes('name')
-  ) || keys[0];
+  ) || dimensions[0] || keys[0];
   
   // Find value column (revenue, count, rating, etc.)
-  const valueKey = keys.find(k => 
+  const valueKey = measures.find(k => 
     k.includes('revenue') || k.includes('total') || 
     k.includes('count') || k.includes('rating') || k.includes('sales') ||
     k.includes('quantity')
-  ) || keys[keys.length - 1];
-  
-  // Prepare data (limit to top 10 for readability)
-  const chartData = data.slice(0, 10);
-  labels = chartData.map(row => String(row[labelKey] || ''));
-  values = chartData.map(row => {
-    const val = row[valueKey];
-    return typeof val === 'string' ? parseFloat(val) : Number(val) || 0;
+  ) || measures.find(k => k !== labelKey) || keys[keys.length - 1];
+  
+  const isTimeAxis = dateKeys.includes(labelKey);
+  const timeValue = val => (val instanceof Date ? val.getTime() : String(val).length === 7 ? `${val}-01` : val);
+  const xKeyOf = val => (val instanceof Date ? val.getTime() : String(val));
+  
+  // Time series read left to right; everything else keeps the query's order
+  const rows = isTimeAxis
+    ? [...data].sort((a, b) => new Date(timeValue(a[labelKey])) - new Date(timeValue(b[labelKey])))
+    : data;
+  
+  // Unique x values (most recent points for time axes, top 10 otherwise)
+  const rawByX = new Map();
+  rows.forEach(row => {
+    if (!rawByX.has(xKeyOf(row[labelKey]))) rawByX.set(xKeyOf(row[labelKey]), row[labelKey]);
   });
+  let xKeys = [...rawByX.keys()];
+  xKeys = isTimeAxis ? xKeys.slice(-MAX_TIME_POINTS) : xKeys.slice(0, MAX_CATEGORY_POINTS);
+  const chartRows = rows.filter(row => xKeys.includes(xKeyOf(row[labelKey])));
   
-  // Set title and value label
-  title = labelKey.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-  valueLabel = valueKey.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+  // A second dimension that repeats per x value (e.g. category in "revenue by month per category") becomes one series per value
+  const seriesKey = chartType === 'pie' ? null : dimensions.find(k => k !== labelKey && rawByX.size < rows.length) || null;
   
-  // Truncate long labels
-  labels = labels.map(l => {
-    const str = String(l);
-    return str.length > 15 ? str.substring(0, 12) + '...' : str;
+  // Series: one per value of the second dimension, or one per numeric column
+  let series;
+  if (seriesKey) {
+    const totals = new Map();
+    chartRows.forEach(row => {
+      const name = String(row[seriesKey]);
+      totals.set(name, (totals.get(name) || 0) + toNumber(row[valueKey]));
+    });
+    series = [...totals.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CHART_SERIES)
+      .map(([name]) => ({
+        label: name,
+        values: xKeys.map(x => chartRows
+          .filter(row => xKeyOf(row[labelKey]) === x && String(row[seriesKey]) === name)
+          .reduce((sum, row) => sum + toNumber(row[valueKey]), 0))
+      }));
+  } else {
+    const valueKeys = chartType === 'pie'
+      ? [valueKey]
+      : [valueKey, ...measures.filter(k => k !== valueKey && k !== labelKey)].slice(0, MAX_CHART_SERIES);
+    series = valueKeys.map(key => ({
+      label: titleCase(key),
+      values: xKeys.map(x => toNumber(chartRows.find(row => xKeyOf(row[labelKey]) === x)[key]))
+    }));
+  }
+  const isMultiSeries = series.length > 1;
+  
+  // Horizontal bars for long labels (product names) or when asked; stacked bars when asked
+  const rawLabels = xKeys.map(x => {
+    const raw = rawByX.get(x);
+    return raw instanceof Date ? raw.toISOString().slice(0, 10) : String(raw === null || raw === undefined ? '' : raw);
   });
+  const isHorizontal = chartType === 'bar' && !isTimeAxis &&
+    (q.includes('horizontal') || rawLabels.some(l => l.length > 15));
+  const isStacked = isMultiSeries && (chartType === 'bar' || chartType === 'line') && q.includes('stack');
+  
+  // Truncate long labels
+  const maxLabelLength = isHorizontal ? 30 : 15;
+  const labels = rawLabels.map(l => (l.length > maxLabelLength ? l.substring(0, maxLabelLength - 3) + '...' : l));
+  
+  // Set title and value label
+  const valueLabel = titleCase(valueKey);
+  let title = titleCase(labelKey);
+  if (seriesKey) {
+    title = `${valueLabel} by ${titleCase(labelKey)} per ${titleCase(seriesKey)}`;
+  } else if (isMultiSeries) {
+    title = `${series.map(s => s.label).join(' vs ')} by ${titleCase(labelKey)}`;
+  }
   
   // Color schemes
   const barColors = ['#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#FF6384', '#C9CBCF', '#7BC225', '#E83E8C'];
+  const seriesColors = ['#36A2EB', '#FF6384', '#FFCE56', '#4BC0C0', '#9966FF', '#FF9F40', '#7BC225', '#E83E8C'];
+  
+  // Points for time axes carry their own x value
+  const points = values => (isTimeAxis
+    ? values.map((value, i) => ({ x: timeValue(rawByX.get(xKeys[i])), y: value }))
+    : values);
+  
+  // Numeric columns on very different scales (e.g. units vs revenue) get a second y axis
+  const maxOf = values => Math.max(...values.map(v => Math.abs(v)), 0);
+  const primaryMax = maxOf(series[0].values);
+  const secondaryAxis = !seriesKey && !isStacked && !isHorizontal && !isComparisonResult(results)
+    ? series.map((s, i) => i > 0 && primaryMax > 0 && (maxOf(s.values) / primaryMax > 10 || maxOf(s.values) / primaryMax < 0.1))
+    : series.map(() => false);
+  const hasSecondaryAxis = secondaryAxis.some(Boolean);
+  
+  // Time unit from the smallest gap between points (monthly data gets month ticks, etc.)
+  const timestamps = xKeys.map(x => new Date(timeValue(rawByX.get(x))).getTime());
+  const minGapDays = timestamps.slice(1).reduce((min, t, i) => Math.min(min, (t - timestamps[i]) / 86400000), Infinity);
+  let timeUnit = 'day';
+  if (minGapDays >= 365) timeUnit = 'year';
+  else if (minGapDays >= 28) timeUnit = 'month';
+  else if (minGapDays >= 7) timeUnit = 'week';
+  
+  // Shared x/y scales for bar and line charts
+  const categoryTicks = isHorizontal
+    ? { font: { size: 10 } }
+    : { font: { size: 10 }, maxRotation: chartType === 'line' ? 0 : 45, minRotation: chartType === 'line' ? 0 : 45 };
+  const xScale = isTimeAxis
+    ? {
+      type: 'time',
+      offset: chartType !== 'line',
+      time: { unit: timeUnit, tooltipFormat: 'MMM D, YYYY' },
+      stacked: isStacked,
+      ticks: { source: xKeys.length <= 24 ? 'data' : 'auto', font: { size: 10 }, maxRotation: 0, autoSkip: true }
+    }
+    : { stacked: isStacked, ticks: categoryTicks };
+  const yScale = { beginAtZero: true, stacked: isStacked, ticks: { font: { size: 11 } } };
+  const scales = isHorizontal
+    ? { x: { ...yScale }, y: { ...xScale } }
+    : { x: xScale, y: yScale };
+  if (hasSecondaryAxis) {
+    scales.y.title = { display: true, text: series[0].label };
+    scales.y1 = {
+      position: 'right',
+      beginAtZero: true,
+      grid: { drawOnChartArea: false },
+      ticks: { font: { size: 11 } },
+      title: { display: true, text: series.filter((s, i) => secondaryAxis[i]).map(s => s.label).join(', ') }
+    };
+  }
+  
+  const titlePlugin = {
+    display: true,
+    text: title,
+    font: { size: 16, weight: 'bold' }
+  };
+  const legendPlugin = isMultiSeries
+    ? { display: true, position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } }
+    : { display: false };
   
   let chartConfig;
   
@@ -109,7 +898,7 @@ function generateChartUrl(data, chartType, question) {
       data: {
         labels: labels,
         datasets: [{
-          data: values,
+          data: series[0].values,
           backgroundColor: barColors
         }]
       },
@@ -123,11 +912,7 @@ function generateChartUrl(data, chartType, question) {
               font: { size: 11 }
             }
           },
-          title: {
-            display: true,
-            text: title,
-            font: { size: 16, weight: 'bold' }
-          },
+          title: titlePlugin,
           datalabels: {
             display: true,
             color: '#fff',
@@ -145,88 +930,599 @@ function generateChartUrl(data, chartType, question) {
     chartConfig = {
       type: 'line',
       data: {
-        labels: labels,
-        datasets: [{
-          label: valueLabel,
-          data: values,
-          fill: false,
-          borderColor: '#36A2EB',
-          backgroundColor: '#36A2EB',
+        ...(isTimeAxis ? {} : { labels: labels }),
+        datasets: series.map((s, i) => ({
+          label: isMultiSeries ? s.label : valueLabel,
+          data: points(s.values),
+          fill: isStacked,
+          borderColor: seriesColors[i % seriesColors.length],
+          backgroundColor: seriesColors[i % seriesColors.length],
           tension: 0.1,
-          pointRadius: 5,
-          pointHoverRadius: 7
-        }]
+          pointRadius: isTimeAxis && xKeys.length > 60 ? 0 : 5,
+          pointHoverRadius: 7,
+          ...(secondaryAxis[i] ? { yAxisID: 'y1' } : {})
+        }))
       },
       options: {
         plugins: {
-          title: {
-            display: true,
-            text: title,
-            font: { size: 16, weight: 'bold' }
-          },
-          legend: { display: false }
+          title: titlePlugin,
+          legend: legendPlugin
         },
-        scales: {
-          y: {
-            beginAtZero: true,
-            ticks: { font: { size: 11 } }
-          },
-          x: {
-            ticks: { font: { size: 10 } }
-          }
-        }
+        scales: scales
       }
     };
   } else {
-    // Bar chart (default)
+    // Bar chart (default): one color per bar for a single series, one color per series otherwise
     chartConfig = {
       type: 'bar',
       data: {
-        labels: labels,
-        datasets: [{
-          label: valueLabel,
-          data: values,
-          backgroundColor: barColors
-        }]
+        ...(isTimeAxis ? {} : { labels: labels }),
+        datasets: series.map((s, i) => ({
+          label: isMultiSeries ? s.label : valueLabel,
+          data: points(s.values),
+          backgroundColor: isMultiSeries ? seriesColors[i % seriesColors.length] : barColors,
+          ...(secondaryAxis[i] ? { yAxisID: 'y1' } : {})
+        }))
       },
       options: {
+        ...(isHorizontal ? { indexAxis: 'y' } : {}),
         plugins: {
-          title: {
-            display: true,
-            text: title,
-            font: { size: 16, weight: 'bold' }
-          },
-          legend: { display: false }
+          title: titlePlugin,
+          legend: legendPlugin
         },
-        scales: {
-          y: {
-            beginAtZero: true,
-            ticks: { font: { size: 11 } }
-          },
-          x: {
-            ticks: { 
-              font: { size: 10 },
-              maxRotation: 45,
-              minRotation: 45
-            }
-          }
-        }
+        scales: scales
       }
     };
   }
   
+  return chartConfig;
+}
+
+// Generate chart URL using QuickChart
+function generateChartUrl(data, chartType, question) {
   // Create URL with proper encoding
-  const chartJson = JSON.stringify(chartConfig);
+  const chartJson = JSON.stringify(buildChartConfig(data, chartType, question));
   const encoded = encodeURIComponent(chartJson);
   
-  return `https://quickchart.io/chart?w=800&h=500&c=${encoded}`;
+  return `${QUICKCHART_URL}/chart?v=4&w=${CHART_WIDTH}&h=${CHART_HEIGHT}&c=${encoded}`;
 }
 
-// Store successful queries for learning
-const queryHistory = [];
+// Render a Chart.js config to a PNG buffer on this server
+async function renderChartPng(chartConfig) {
+  // Loaded on first use so the QuickChart backend works without the native canvas package
+  const { Chart } = require('chart.js/auto');
+  require('chartjs-adapter-moment'); // date adapter for time axes
+  const ChartDataLabels = require('chartjs-plugin-datalabels');
+  const { createCanvas } = require('@napi-rs/canvas');
+  
+  const canvas = createCanvas(CHART_WIDTH, CHART_HEIGHT);
+  const whiteBackground = {
+    id: 'whiteBackground',
+    beforeDraw: (chart) => {
+      chart.ctx.save();
+      chart.ctx.fillStyle = '#FFFFFF';
+      chart.ctx.fillRect(0, 0, chart.width, chart.height);
+      chart.ctx.restore();
+    }
+  };
+  const plugins = [whiteBackground];
+  if (chartConfig.options && chartConfig.options.plugins && chartConfig.options.plugins.datalabels) {
+    plugins.push(ChartDataLabels);
+  }
+  
+  const chart = new Chart(canvas.getContext('2d'), {
+    ...chartConfig,
+    options: { ...chartConfig.options, responsive: false, animation: false },
+    plugins: plugins
+  });
+  
+  try {
+    return await canvas.encode('png');
+  } finally {
+    chart.destroy();
+  }
+}
+
+// A QuickChart image block for the results
+function buildChartImageBlock(data, chartType, question) {
+  return {
+    type: "image",
+    title: {
+      type: "plain_text",
+      text: "📊 Data Visualization"
+    },
+    image_url: generateChartUrl(data, chartType, question),
+    alt_text: "Chart visualization"
+  };
+}
+
+// Post a chart of the results to the channel/thread with the configured renderer
+async function postChart({ client, channel, threadTs = null, data, chartType, question }) {
+  if (CHART_RENDERER === 'quickchart') {
+    await client.chat.postMessage({
+      channel: channel,
+      ...(threadTs ? { thread_ts: threadTs } : {}),
+      blocks: [buildChartImageBlock(data, chartType, question)],
+      text: "Chart generated"
+    });
+    return;
+  }
+  
+  try {
+    const png = await renderChartPng(buildChartConfig(data, chartType, question));
+    await client.files.uploadV2({
+      channel_id: channel,
+      ...(threadTs ? { thread_ts: threadTs } : {}),
+      file: png,
+      filename: 'chart.png',
+      title: '📊 Data Visualization',
+      alt_text: 'Chart visualization'
+    });
+  } catch (error) {
+    console.error('Chart rendering error:', error);
+  }
+}
+
+// Few-shot example store: generated queries with their real outcomes and user feedback
+const MAX_PROMPT_EXAMPLES = 5;
+const MAX_NEGATIVE_EXAMPLES = 2;
+const EXAMPLE_CANDIDATE_LIMIT = 500;
+const THUMBS_UP_REACTIONS = ['+1', 'thumbsup'];
+const THUMBS_DOWN_REACTIONS = ['-1', 'thumbsdown'];
+
+// Create the example store table if it doesn't exist yet
+async function ensureExampleStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS query_examples (
+        id SERIAL PRIMARY KEY,
+        question TEXT NOT NULL,
+        sql TEXT NOT NULL,
+        chart_type VARCHAR(20),
+        executed_ok BOOLEAN NOT NULL,
+        error_message TEXT,
+        row_count INTEGER,
+        thumbs_up INTEGER NOT NULL DEFAULT 0,
+        thumbs_down INTEGER NOT NULL DEFAULT 0,
+        channel VARCHAR(50),
+        message_ts VARCHAR(50),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS query_examples_message_idx ON query_examples (channel, message_ts)');
+    console.log('✅ Query example store ready');
+  } catch (error) {
+    console.error('❌ Could not set up query example store:', error.message);
+  }
+}
+
+// Record a generated query together with whether it actually executed
+async function recordQueryExample({ question, sql, chartType, executedOk, errorMessage, rowCount }) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO query_examples (question, sql, chart_type, executed_ok, error_message, row_count)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+      [question, sql, chartType || null, executedOk, errorMessage || null, rowCount == null ? null : rowCount]
+    );
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Error recording query example:', error.message);
+    return null;
+  }
+}
+
+// Link an example to the Slack message that shows its answer, so reactions can be traced back
+async function attachExampleMessage(exampleId, channel, messageTs) {
+  if (!exampleId || !messageTs) return;
+  
+  try {
+    await pool.query(
+      'UPDATE query_examples SET channel = $1, message_ts = $2 WHERE id = $3',
+      [channel, messageTs, exampleId]
+    );
+  } catch (error) {
+    console.error('Error linking query example to message:', error.message);
+  }
+}
+
+// Apply a 👍/👎 reaction (added: delta 1, removed: delta -1) to the example behind a message
+async function recordExampleFeedback(channel, messageTs, reaction, delta) {
+  const name = reaction.split('::')[0]; // strip skin tone
+  let column = null;
+  if (THUMBS_UP_REACTIONS.includes(name)) column = 'thumbs_up';
+  if (THUMBS_DOWN_REACTIONS.includes(name)) column = 'thumbs_down';
+  if (!column) return;
+  
+  try {
+    const updated = await pool.query(
+      `UPDATE query_examples SET ${column} = GREATEST(${column} + $1, 0) WHERE channel = $2 AND message_ts = $3 RETURNING question`,
+      [delta, channel, messageTs]
+    );
+    
+    // A 👎 also stops the cached SQL for that question from being reused (whatever metric the asker prefers)
+    if (column === 'thumbs_down' && delta > 0 && updated.rows.length > 0) {
+      const question = updated.rows[0].question;
+      for (const metric of [null, ...Object.keys(semanticLayer.metrics)]) {
+        await cacheStore.clear(questionCacheKey(question, metric));
+      }
+    }
+  } catch (error) {
+    console.error('Error recording example feedback:', error.message);
+  }
+}
+
+// Split a question into lowercase keywords for similarity matching
+function questionKeywords(question) {
+  const stopWords = ['a', 'an', 'the', 'of', 'in', 'for', 'by', 'me', 'show', 'what', 'which', 'are', 'is', 'and', 'with', 'to', 'give', 'list', 'please'];
+  return new Set(
+    String(question).toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word && !stopWords.includes(word))
+      .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word))
+  );
+}
+
+// Similarity between two keyword sets (0 = nothing in common, 1 = identical)
+function keywordSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / Math.sqrt(a.size * b.size);
+}
+
+// Pick the most relevant verified examples (and relevant examples users marked wrong) for a question
+async function findRelevantExamples(question) {
+  try {
+    const result = await pool.query(
+      `SELECT question, sql, thumbs_up, thumbs_down
+       FROM query_examples
+       WHERE executed_ok = true
+       ORDER BY created_at DESC
+       LIMIT $1`,
+      [EXAMPLE_CANDIDATE_LIMIT]
+    );
+    
+    const keywords = questionKeywords(question);
+    const scored = result.rows.map((row, index) => ({
+      ...row,
+      score: keywordSimilarity(keywords, questionKeywords(row.question)),
+      recency: index
+    }));
+    
+    // Prefer similar questions, then ones users confirmed with 👍, then the most recent
+    const byRelevance = (a, b) =>
+      (b.score - a.score) ||
+      ((b.thumbs_up - b.thumbs_down) - (a.thumbs_up - a.thumbs_down)) ||
+      (a.recency - b.recency);
+    
+    const seenSql = new Set();
+    const good = scored
+      .filter(row => row.thumbs_down <= row.thumbs_up)
+      .sort(byRelevance)
+      .filter(row => !seenSql.has(row.sql) && seenSql.add(row.sql))
+      .slice(0, MAX_PROMPT_EXAMPLES);
+    
+    const bad = scored
+      .filter(row => row.thumbs_down > row.thumbs_up && row.score >= 0.5)
+      .sort(byRelevance)
+      .slice(0, MAX_NEGATIVE_EXAMPLES);
+    
+    return { good, bad };
+  } catch (error) {
+    console.error('Error loading query examples:', error.message);
+    return { good: [], bad: [] };
+  }
+}
+
+// LLM usage: per-user/per-channel rate limits, daily token budgets and cost accounting.
+// Every LLM call is logged with the token counts from its `usage` field; over a limit,
+// questions fall back to the rule-based parser.
+const USER_AI_QUESTIONS_PER_HOUR = parseInt(process.env.USER_AI_QUESTIONS_PER_HOUR, 10) || 30;
+const CHANNEL_AI_QUESTIONS_PER_HOUR = parseInt(process.env.CHANNEL_AI_QUESTIONS_PER_HOUR, 10) || 100;
+const USER_DAILY_TOKEN_BUDGET = parseInt(process.env.USER_DAILY_TOKEN_BUDGET, 10) || 200000;
+const CHANNEL_DAILY_TOKEN_BUDGET = parseInt(process.env.CHANNEL_DAILY_TOKEN_BUDGET, 10) || 1000000;
+const LLM_INPUT_COST_PER_MTOK = parseFloat(process.env.LLM_INPUT_COST_PER_MTOK) || 3;
+const LLM_OUTPUT_COST_PER_MTOK = parseFloat(process.env.LLM_OUTPUT_COST_PER_MTOK) || 15;
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const rateWindows = new Map();   // 'user:U123' / 'channel:C123' → timestamps of AI questions in the last hour
+
+// Create the LLM usage log if it doesn't exist
+async function ensureUsageStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(50),
+        channel_id VARCHAR(50),
+        purpose VARCHAR(20) NOT NULL,
+        model VARCHAR(100),
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS llm_usage_created_idx ON llm_usage (created_at)');
+  } catch (error) {
+    console.error('❌ Could not set up LLM usage store:', error.message);
+  }
+}
+
+// Dollar cost of a call from its token counts and the task's pricing
+function llmCost(inputTokens, outputTokens, pricing) {
+  return (inputTokens * pricing.inputCostPerMTok + outputTokens * pricing.outputCostPerMTok) / 1000000;
+}
+
+// Log the tokens an LLM response used, attributed to a user and channel
+async function recordLlmUsage(usageContext, task, response) {
+  const usage = (response && response.usage) || {};
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  
+  try {
+    await pool.query(
+      `INSERT INTO llm_usage (user_id, channel_id, purpose, model, input_tokens, output_tokens, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [usageContext.userId || null, usageContext.channel || null, task, response && response.model,
+        inputTokens, outputTokens, llmCost(inputTokens, outputTokens, LLM_TASKS[task])]
+    );
+  } catch (error) {
+    console.error('Error recording LLM usage:', error.message);
+  }
+}
+
+// AI questions in the last hour for a rate-limit key (old timestamps are pruned)
+function recentAiQuestions(key) {
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  const recent = (rateWindows.get(key) || []).filter(time => time > cutoff);
+  rateWindows.set(key, recent);
+  return recent.length;
+}
+
+// Count an AI question against the user's and channel's hourly limits
+function countAiQuestion({ userId, channel }) {
+  [userId && `user:${userId}`, channel && `channel:${channel}`].filter(Boolean).forEach(key => {
+    recentAiQuestions(key);
+    rateWindows.get(key).push(Date.now());
+  });
+}
+
+// Tokens used today (UTC) by a user or channel
+async function tokensUsedToday(column, id) {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(input_tokens + output_tokens), 0) AS tokens FROM llm_usage
+     WHERE ${column} = $1 AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+    [id]
+  );
+  return Number(result.rows[0].tokens);
+}
+
+// Check whether a user may use the LLM right now: { allowed, reason }
+async function checkLlmAllowance({ userId, channel }) {
+  if (userId && recentAiQuestions(`user:${userId}`) >= USER_AI_QUESTIONS_PER_HOUR) {
+    return { allowed: false, reason: `You've asked ${USER_AI_QUESTIONS_PER_HOUR} AI-answered questions in the last hour` };
+  }
+  if (channel && recentAiQuestions(`channel:${channel}`) >= CHANNEL_AI_QUESTIONS_PER_HOUR) {
+    return { allowed: false, reason: `This channel has asked ${CHANNEL_AI_QUESTIONS_PER_HOUR} AI-answered questions in the last hour` };
+  }
+  
+  try {
+    if (userId && (await tokensUsedToday('user_id', userId)) >= USER_DAILY_TOKEN_BUDGET) {
+      return { allowed: false, reason: `You've used your daily budget of ${USER_DAILY_TOKEN_BUDGET.toLocaleString('en-US')} AI tokens` };
+    }
+    if (channel && (await tokensUsedToday('channel_id', channel)) >= CHANNEL_DAILY_TOKEN_BUDGET) {
+      return { allowed: false, reason: `This channel has used its daily budget of ${CHANNEL_DAILY_TOKEN_BUDGET.toLocaleString('en-US')} AI tokens` };
+    }
+  } catch (error) {
+    console.error('Error checking token budget:', error.message);
+  }
+  
+  return { allowed: true, reason: null };
+}
+
+// Spend by day and user for /salesbot-usage
+async function describeUsage(command, days) {
+  const result = await pool.query(
+    `SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, user_id,
+            COUNT(*) AS calls, SUM(input_tokens + output_tokens) AS tokens, SUM(cost_usd) AS cost
+     FROM llm_usage
+     WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' - ($1 - 1) * INTERVAL '1 day'
+     GROUP BY 1, 2
+     ORDER BY 1 DESC, cost DESC`,
+    [days]
+  );
+  
+  const usedToday = await tokensUsedToday('user_id', command.user_id);
+  const header = `📈 *AI usage — last ${days} day${days === 1 ? '' : 's'} (UTC)*\n` +
+    `Your tokens today: ${usedToday.toLocaleString('en-US')} of ${USER_DAILY_TOKEN_BUDGET.toLocaleString('en-US')}`;
+  if (result.rows.length === 0) {
+    return `${header}\n\nNo AI calls recorded yet.`;
+  }
+  
+  const byDay = new Map();
+  result.rows.forEach(row => {
+    if (!byDay.has(row.day)) byDay.set(row.day, []);
+    byDay.get(row.day).push(row);
+  });
+  
+  const sections = [...byDay].map(([day, rows]) => {
+    const tokens = rows.reduce((sum, row) => sum + Number(row.tokens), 0);
+    const cost = rows.reduce((sum, row) => sum + Number(row.cost), 0);
+    const users = rows.map(row =>
+      `   • ${row.user_id ? `<@${row.user_id}>` : 'unattributed'}: ${Number(row.tokens).toLocaleString('en-US')} tokens · $${Number(row.cost).toFixed(2)} (${row.calls} calls)`
+    );
+    return `*${day}* — ${tokens.toLocaleString('en-US')} tokens · $${cost.toFixed(2)}\n${users.join('\n')}`;
+  });
+  
+  return `${header}\n\n${sections.join('\n\n')}`;
+}
+
+// LLM providers: SQL generation and summaries each run on a configurable provider, model and settings.
+// Providers: 'anthropic', 'openai' (any OpenAI-compatible endpoint, e.g. a local Ollama or vLLM server)
+// and 'fake' (deterministic, offline). Set per task with SQL_LLM_* / SUMMARY_LLM_*, or for both with LLM_*.
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60 * 1000;
+const DEFAULT_LLM_MODELS = {
+  anthropic: 'claude-sonnet-4-20250514',
+  openai: 'llama3.1',
+  fake: 'fake'
+};
+
+// Read a numeric setting, keeping explicit zeros (e.g. temperature 0)
+function numberSetting(value, fallback) {
+  const parsed = parseFloat(value);
+  return value !== undefined && value !== '' && !isNaN(parsed) ? parsed : fallback;
+}
+
+// Settings for one task: task-specific variables (SQL_LLM_MODEL) win over shared ones (LLM_MODEL)
+function llmTaskConfig(prefix, defaults) {
+  const setting = (name) => process.env[`${prefix}_LLM_${name}`] || process.env[`LLM_${name}`];
+  const provider = (setting('PROVIDER') || 'anthropic').toLowerCase();
+  // LLM_*_COST_PER_MTOK prices Anthropic models; other providers are free unless priced per task
+  const isAnthropic = provider === 'anthropic';
+  
+  return {
+    provider: provider,
+    model: setting('MODEL') || DEFAULT_LLM_MODELS[provider],
+    temperature: numberSetting(process.env[`${prefix}_LLM_TEMPERATURE`], defaults.temperature),
+    maxTokens: numberSetting(process.env[`${prefix}_LLM_MAX_TOKENS`], defaults.maxTokens),
+    inputCostPerMTok: numberSetting(process.env[`${prefix}_LLM_INPUT_COST_PER_MTOK`], isAnthropic ? LLM_INPUT_COST_PER_MTOK : 0),
+    outputCostPerMTok: numberSetting(process.env[`${prefix}_LLM_OUTPUT_COST_PER_MTOK`], isAnthropic ? LLM_OUTPUT_COST_PER_MTOK : 0)
+  };
+}
+
+const LLM_TASKS = {
+  sql: llmTaskConfig('SQL', { temperature: 0.1, maxTokens: 1500 }),   // very low temperature for accuracy
+  summary: llmTaskConfig('SUMMARY', { temperature: 0.7, maxTokens: 200 })
+};
+
+// Anthropic Messages API (the client is created on first use, so offline setups never need a key)
+function createAnthropicProvider() {
+  let client = null;
+  
+  return {
+    name: 'anthropic',
+    async complete({ model, prompt, temperature, maxTokens }) {
+      if (!client) client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+      
+      const message = await client.messages.create({
+        model: model,
+        max_tokens: maxTokens,
+        temperature: temperature,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+      return {
+        text: message.content[0].text,
+        model: message.model,
+        usage: { inputTokens: message.usage.input_tokens, outputTokens: message.usage.output_tokens }
+      };
+    }
+  };
+}
+
+// OpenAI-compatible chat completions endpoint (OPENAI_BASE_URL, optional OPENAI_API_KEY)
+function createOpenAiCompatibleProvider() {
+  return {
+    name: 'openai',
+    async complete({ model, prompt, temperature, maxTokens }) {
+      const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {})
+        },
+        body: JSON.stringify({
+          model: model,
+          temperature: temperature,
+          max_tokens: maxTokens,
+          messages: [{ role: 'user', content: prompt }]
+        }),
+        signal: AbortSignal.timeout(LLM_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`LLM endpoint returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      }
+      
+      const result = await response.json();
+      const usage = result.usage || {};
+      return {
+        text: result.choices[0].message.content,
+        model: result.model || model,
+        usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+      };
+    }
+  };
+}
+
+// Deterministic offline provider: SQL from the rule-based parser, summaries from a fixed template
+function createFakeProvider() {
+  return {
+    name: 'fake',
+    async complete({ task, hints }) {
+      let text;
+      if (task === 'sql') {
+        const clarification = findRuleClarification(hints.question || '', hints.preferences);
+        const queryResult = clarification ? null : processQuestion(hints.question || '', hints.preferences);
+        if (clarification) {
+          text = JSON.stringify({ clarification: clarification });
+        } else {
+          text = queryResult
+            ? JSON.stringify({ sql: inlineSqlParams(queryResult.sql, queryResult.params), chartType: queryResult.chartType || null, explanation: 'Answered offline by the fake LLM provider' })
+            : 'No query';
+        }
+      } else {
+        text = `Offline summary: ${hints.rowCount} rows returned for "${hints.question}".`;
+      }
+      return { text: text, model: 'fake', usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+  };
+}
+
+const LLM_PROVIDER_FACTORIES = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAiCompatibleProvider,
+  fake: createFakeProvider
+};
+const llmProviders = {};   // task → provider instance
+
+// Provider for a task (created on first use)
+function getLlmProvider(task) {
+  if (!llmProviders[task]) {
+    const factory = LLM_PROVIDER_FACTORIES[LLM_TASKS[task].provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${LLM_TASKS[task].provider}" for ${task} (use ${Object.keys(LLM_PROVIDER_FACTORIES).join(', ')})`);
+    }
+    llmProviders[task] = factory();
+  }
+  return llmProviders[task];
+}
+
+// Replace the provider for a task (used by the evaluation runner)
+function setLlmProvider(task, provider) {
+  llmProviders[task] = provider;
+}
+
+// Run a prompt for a task with its configured provider and settings, logging the tokens it used.
+// Hints (the question, row count) are only read by the fake provider.
+async function completeLlm(task, prompt, { usageContext = {}, hints = {} } = {}) {
+  const config = LLM_TASKS[task];
+  const response = await getLlmProvider(task).complete({
+    task: task,
+    model: config.model,
+    prompt: prompt,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+    hints: hints
+  });
+  await recordLlmUsage(usageContext, task, response);
+  return response;
+}
 
 // Generate AI summary of results
-async function generateResultSummary(data, question) {
+async function generateResultSummary(data, question, usageContext = {}, truncated = false) {
   try {
     // Skip summary for single-value results
     if (data.length === 1 && Object.keys(data[0]).length === 1) {
@@ -247,8 +1543,8 @@ User asked: "${question}"
 Data returned (first 5 rows):
 ${dataPreview}
 
-Total rows: ${data.length}
-
+Total rows: ${data.length}${truncated ? ' (only the first rows; the query returned more, so don\'t treat them as the complete result)' : ''}
+${describeComparisonForSummary(data)}
 Provide a clear, actionable summary that highlights:
 1. Key finding or trend
 2. Notable insight or comparison
@@ -256,41 +1552,61 @@ Provide a clear, actionable summary that highlights:
 
 Keep it concise, professional, and valuable. Max 3 sentences.`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 200,
-      temperature: 0.7,
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+    const response = await completeLlm('summary', prompt, { usageContext, hints: { question, rowCount: data.length } });
 
-    return message.content[0].text.trim();
+    return response.text.trim();
   } catch (error) {
     console.error('Summary generation error:', error);
     return null;
   }
 }
 
-// Check if question is related to sales data
-async function isQuestionRelevant(question) {
-  // Keywords that suggest sales/data queries
-  const salesKeywords = [
-    'sales', 'revenue', 'product', 'category', 'country', 'rating', 'sold', 
-    'top', 'best', 'worst', 'highest', 'lowest', 'average', 'total', 'count',
-    'how many', 'show me', 'chart', 'graph', 'visualize', 'compare', 'breakdown',
-    'electronics', 'clothing', 'furniture', 'beauty', 'sports', 'pet', 'baby',
-    'usa', 'canada', 'uk', 'germany', 'france', 'australia', 'japan',
-    'profitable', 'performance', 'metrics', 'analysis', 'data', 'report'
-  ];
+// Tell the summary when the rows compare entities or periods, so it talks about the gap
+function describeComparisonForSummary(data) {
+  if (!isComparisonResult(data)) return '';
   
+  const keys = Object.keys(data[0]);
+  if (keys.some(isRatioColumn)) {
+    const compared = keys.filter(key => !isDeltaColumn(key) && !isRatioColumn(key) &&
+      data.every(row => row[key] === null || !isNaN(Number(row[key]))));
+    return `\nThis is a side-by-side comparison of ${compared.join(' vs ')}. "difference" is the gap between them and "ratio" how many times larger one is. Focus on the gap: who is ahead, by how much, and where it is widest, narrowest or reversed.\n`;
+  }
+  return '\nThis compares a current period with a previous one. "change" is current minus previous and "change_pct" the percentage change. Focus on the change: what grew or shrank the most, and by how much.\n';
+}
+
+// Keywords that suggest sales/data queries
+const SALES_KEYWORDS = [
+  'sales', 'revenue', 'product', 'category', 'country', 'rating', 'sold', 
+  'top', 'best', 'worst', 'highest', 'lowest', 'average', 'total', 'count',
+  'how many', 'show me', 'chart', 'graph', 'visualize', 'compare', 'breakdown',
+  'profitable', 'performance', 'metrics', 'analysis', 'data', 'report'
+];
+
+// The ones that still ask for data in a short thread reply (not "best", "data", ... as in "thanks, best answer yet")
+const FOLLOW_UP_KEYWORDS = SALES_KEYWORDS.filter(keyword =>
+  !['top', 'best', 'worst', 'highest', 'lowest', 'profitable', 'performance', 'metrics', 'analysis', 'data', 'report'].includes(keyword)
+);
+
+// Whether text mentions sales terms, column names or known values (categories, countries, ...);
+// with wholeWords, terms only count as separate words ("stop" doesn't mention "top", "account" not "count")
+function mentionsSalesTerms(question, { keywords = SALES_KEYWORDS, wholeWords = false } = {}) {
   const lowerQuestion = question.toLowerCase();
+  const mentions = keyword => wholeWords
+    ? new RegExp(`(^|[^a-z0-9])${escapePattern(keyword)}(?=$|[^a-z0-9])`).test(lowerQuestion)
+    : lowerQuestion.includes(keyword);
   
-  // Check if question contains any sales-related keywords
-  const hasRelevantKeyword = salesKeywords.some(keyword => 
-    lowerQuestion.includes(keyword)
+  // Check if question contains any sales-related keywords, column names or known values (categories, countries, ...)
+  const catalogKeywords = ALLOWED_TABLES.flatMap(table => catalogColumns(table).map(c => c.replace(/_/g, ' ')));
+  const mentionsKnownValue = ALLOWED_TABLES.some(table =>
+    Object.keys((schemaCatalog.tables[table] || {}).values || {}).some(column => findMentionedValue(question, column, table))
   );
+  return mentionsKnownValue || [...keywords, ...catalogKeywords].some(mentions);
+}
+
+// Check if question is related to sales data
+async function isQuestionRelevant(question) {
+  const lowerQuestion = question.toLowerCase();
+  const hasRelevantKeyword = mentionsSalesTerms(question);
   
   // Obvious off-topic patterns
   const offTopicPatterns = [
@@ -310,30 +1626,60 @@ async function isQuestionRelevant(question) {
   return true;
 }
 
-// AI-powered question processing using Claude with Few-Shot Learning
-async function processQuestionWithAI(question) {
+// Whether a reply in one of the bot's threads asks for something (a refinement or another question) rather than
+// just reacting to the answer ("thanks", "👍 nice") — reactions aren't worth an LLM call
+function isFollowUpRequest(text) {
+  const t = text.toLowerCase().replace(/:[a-z0-9_+'-]+:/g, ' ').trim();
+  const refinement = /\b(now|only|just|instead|also|same|again|what about|how about|exclud\w*|includ\w*|without|except|filter\w*|sort\w*|order\w*|group\w*|split|break\w* (?:it |that )?down|per|vs|versus|limit|as (?:a )?(?:table|cards|csv|excel|pie|bar|line))\b/;
+  
+  return t.includes('?') ||
+    refinement.test(t) ||
+    mentionsSalesTerms(t, { keywords: FOLLOW_UP_KEYWORDS, wholeWords: true }) ||
+    Boolean(findMentionedMetric(t)) ||
+    new RegExp(`\\b(${dimensionWordsPattern(true)}|${dimensionWordsPattern(false)})\\b`).test(t) ||
+    Boolean(parseDateRange(t));
+}
+
+// AI-powered question processing using the configured LLM with Few-Shot Learning
+async function processQuestionWithAI(question, conversation = null, usageContext = {}, preferences = {}) {
   try {
-    // Get recent successful queries as examples
-    const recentExamples = queryHistory.slice(-5).map(h => 
-      `Q: "${h.question}"\nSQL: ${h.sql}\nResult: Success`
+    // Get the most relevant verified queries as examples
+    const examples = await findRelevantExamples(question);
+    const recentExamples = examples.good.map(h => 
+      `Q: "${h.question}"\nSQL: ${h.sql}\nResult: Success${h.thumbs_up > 0 ? ` (confirmed correct by ${h.thumbs_up} user${h.thumbs_up > 1 ? 's' : ''})` : ''}`
+    ).join('\n\n');
+    const wrongExamples = examples.bad.map(h => 
+      `Q: "${h.question}"\n✗ WRONG SQL: ${h.sql}`
     ).join('\n\n');
     
+    // A measure the user picked on an earlier clarifying question
+    const preferredMetric = semanticLayer.metrics[preferences.metric] || null;
+    
+    // Earlier questions in this thread, so follow-ups can refine them
+    const conversationContext = conversation ? conversation.turns.map((turn, index) =>
+      `${index + 1}. Q: "${turn.question}"\n   SQL: ${turn.sql}\n   Chart: ${turn.chartType || 'none'}\n   Result: ${turn.rowCount} rows with columns ${turn.columns.join(', ')}`
+    ).join('\n') : '';
+    
     const prompt = `You are a SQL query generator for an Amazon sales database. Learn from these successful query examples and generate ACCURATE queries.
 
 Database schema:
-Table: sales_data
-Columns:
-- id (integer, primary key)
-- sale_date (date) - format: YYYY-MM-DD
-- product_name (varchar) - specific product names
-- category (varchar) - EXACT values: 'Electronics', 'Home & Kitchen', 'Sports & Outdoors', 'Health & Personal Care', 'Beauty', 'Clothing', 'Bags & Luggage', 'Furniture', 'Pet Supplies', 'Baby Products', 'Books & Stationery', 'Toys & Games', 'Grocery', 'Automotive', 'Garden & Outdoor'
-- country (varchar) - EXACT values: 'USA', 'Canada', 'UK', 'Germany', 'France', 'Australia', 'Japan', 'India', 'Brazil', 'Mexico', 'Spain', 'Italy', 'Netherlands', 'Sweden', 'Singapore'
-- revenue (numeric) - dollar amount per sale transaction
-- rating (numeric, 0-5) - product rating
-- quantity_sold (integer) - number of items in each sale
-
-${recentExamples ? `SUCCESSFUL EXAMPLES FROM THIS SESSION:\n${recentExamples}\n\n` : ''}
+${describeSchemaForPrompt()}
 
+${describeSemanticLayerForPrompt()}
+
+${recentExamples ? `VERIFIED EXAMPLES (these ran successfully and were not rejected by users):\n${recentExamples}\n\n` : ''}
+${wrongExamples ? `ANSWERS USERS MARKED AS WRONG (do NOT repeat these mistakes):\n${wrongExamples}\n\n` : ''}
+${conversationContext ? `CONVERSATION SO FAR (the user question below is a reply in this thread):
+${conversationContext}
+
+FOLLOW-UP RULES:
+- If the question refines the previous one ("now only for Germany", "just the top 3", "sort by units instead"), START FROM THE MOST RECENT SQL and modify it: add or replace WHERE filters, change LIMIT, ORDER BY or grouping as asked
+- Keep every part of the previous query the user did not ask to change (filters, grouping, metrics)
+- "that", "those", "it", "them" refer to the previous result
+- If the user only asks for a different visualization ("show that as a pie chart"), return the previous SQL unchanged with the new chartType
+- If the question is unrelated to the conversation, answer it on its own
+
+` : ''}
 CRITICAL FILTERING RULES - MUST FOLLOW:
 1. **CATEGORY FILTER IS MANDATORY** when user mentions ANY category name
    - "electronics" → WHERE category = 'Electronics'
@@ -352,78 +1698,77 @@ CRITICAL FILTERING RULES - MUST FOLLOW:
 
 DETAILED QUERY PATTERNS:
 
-1. BEST-SELLING / MOST SOLD (by quantity):
-   SELECT product_name, SUM(quantity_sold) as total_quantity 
+1. BEST-SELLING / MOST SOLD (by ${semanticLayer.metrics.units.label}):
+   SELECT product_name, ${metricSelect('units')} 
    FROM sales_data 
    WHERE category = 'CategoryName'  -- MANDATORY if category mentioned
    GROUP BY product_name 
-   ORDER BY total_quantity DESC 
+   ORDER BY ${semanticLayer.metrics.units.alias} DESC 
    LIMIT X
 
-2. TOP REVENUE / MOST PROFITABLE:
-   SELECT product_name, ROUND(SUM(revenue), 2) as total_revenue 
+2. TOP / TOP REVENUE / MOST PROFITABLE:
+   SELECT product_name, ${metricSelect('revenue')} 
    FROM sales_data 
    WHERE category = 'CategoryName'  -- MANDATORY if category mentioned
    GROUP BY product_name 
-   ORDER BY total_revenue DESC 
+   ORDER BY ${semanticLayer.metrics.revenue.alias} DESC 
    LIMIT X
 
 3. HIGHEST RATED:
-   SELECT product_name, ROUND(AVG(rating), 2) as avg_rating, COUNT(*) as review_count
+   SELECT product_name, ${metricSelect('rating')}
    FROM sales_data 
    WHERE category = 'CategoryName'  -- MANDATORY if category mentioned
    GROUP BY product_name 
-   HAVING COUNT(*) >= 3
-   ORDER BY avg_rating DESC 
+   ${semanticLayer.metrics.rating.minSampleSize ? `HAVING COUNT(*) >= ${semanticLayer.metrics.rating.minSampleSize}\n   ` : ''}ORDER BY ${semanticLayer.metrics.rating.alias} DESC 
    LIMIT X
 
 4. CATEGORY ANALYSIS:
-   SELECT category, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue
+   SELECT category, ${metricSelect('orders')}, ${metricSelect('revenue')}
    FROM sales_data 
    GROUP BY category 
-   ORDER BY total_revenue DESC
+   ORDER BY ${semanticLayer.metrics.revenue.alias} DESC
 
 5. COUNTRY ANALYSIS:
-   SELECT country, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue
+   SELECT country, ${metricSelect('orders')}, ${metricSelect('revenue')}
    FROM sales_data 
    GROUP BY country 
-   ORDER BY total_revenue DESC
+   ORDER BY ${semanticLayer.metrics.revenue.alias} DESC
 
-6. TIME-BASED (recent, latest, last month):
+6. MOST RECENT SALES (recent, latest):
    SELECT product_name, sale_date, revenue, rating
    FROM sales_data 
    ORDER BY sale_date DESC 
    LIMIT X
 
 7. FILTERED QUERIES (multiple conditions):
-   SELECT product_name, ROUND(SUM(revenue), 2) as total_revenue
+   SELECT product_name, ${metricSelect('revenue')}
    FROM sales_data 
    WHERE category = 'Electronics'  -- EXACT category name
      AND country = 'USA'           -- EXACT country name
      AND rating >= 4.5
    GROUP BY product_name 
-   ORDER BY total_revenue DESC 
+   ORDER BY ${semanticLayer.metrics.revenue.alias} DESC 
    LIMIT X
 
 COMMON USER QUESTIONS & CORRECT RESPONSES:
 
 Q: "top 5 best-selling products in electronics"
-✓ CORRECT: SELECT product_name, SUM(quantity_sold) as total_quantity FROM sales_data WHERE category = 'Electronics' GROUP BY product_name ORDER BY total_quantity DESC LIMIT 5
+✓ CORRECT: SELECT product_name, ${metricSelect('units')} FROM sales_data WHERE category = 'Electronics' GROUP BY product_name ORDER BY ${semanticLayer.metrics.units.alias} DESC LIMIT 5
 ✗ WRONG: SELECT without WHERE category = 'Electronics'
 
 Q: "best selling clothing products"
-✓ CORRECT: SELECT product_name, SUM(quantity_sold) as total_quantity FROM sales_data WHERE category = 'Clothing' GROUP BY product_name ORDER BY total_quantity DESC LIMIT 10
+✓ CORRECT: SELECT product_name, ${metricSelect('units')} FROM sales_data WHERE category = 'Clothing' GROUP BY product_name ORDER BY ${semanticLayer.metrics.units.alias} DESC LIMIT 10
 ✗ WRONG: SELECT without WHERE category = 'Clothing'
 
 Q: "top products in USA"
-✓ CORRECT: SELECT product_name, SUM(revenue) as total_revenue FROM sales_data WHERE country = 'USA' GROUP BY product_name ORDER BY total_revenue DESC LIMIT 10
+✓ CORRECT: SELECT product_name, ${metricSelect(semanticLayer.defaultMetric)} FROM sales_data WHERE country = 'USA' GROUP BY product_name ORDER BY ${semanticLayer.metrics[semanticLayer.defaultMetric].alias} DESC LIMIT 10
 ✗ WRONG: SELECT without WHERE country = 'USA'
 
 CRITICAL RULES:
 ✓ Category/Country names are CASE-SENSITIVE - use exact values from schema
-✓ "best-selling" = highest SUM(quantity_sold)
-✓ "top revenue" = highest SUM(revenue)
-✓ "highest rated" = highest AVG(rating) with HAVING COUNT(*) >= 3
+✓ Only use columns listed in the schema; if a filter value isn't in the EXACT values list, it doesn't exist in the data
+✓ Every measure comes from the Metrics list above: same SQL, same alias, same minimum sample size
+✓ "top"/"best" with no measure named = ${preferredMetric ? `highest ${preferredMetric.label} (this user's earlier pick)` : 'ask which measure (see CLARIFYING QUESTIONS)'}
 ✓ Always GROUP BY product_name when showing products
 ✓ Always use ROUND(decimal_column, 2) for money/ratings
 ✓ Default LIMIT is 10, adjust based on user request (top 5 = LIMIT 5)
@@ -433,12 +1778,12 @@ VALIDATION CHECKLIST BEFORE RETURNING:
 □ User mentioned "electronics"? → Query has WHERE category = 'Electronics'
 □ User mentioned "clothing"? → Query has WHERE category = 'Clothing'
 □ User mentioned "USA"? → Query has WHERE country = 'USA'
-□ User said "best-selling"? → Query uses SUM(quantity_sold)
-□ User said "top revenue"? → Query uses SUM(revenue)
+□ User said "best-selling"? → Query uses ${metricSql('units')}
+□ User said "top revenue"? → Query uses ${metricSql('revenue')}
 
 User question: "${question}"
 
-Analyze and respond with JSON only:
+Analyze and respond with JSON only (or a clarification, see CLARIFYING QUESTIONS):
 {
   "sql": "Complete PostgreSQL SELECT query with MANDATORY WHERE clause if category/country mentioned",
   "chartType": "bar" | "pie" | "line" | null,
@@ -450,40 +1795,59 @@ Chart types:
 - "line" → user says "line chart" or "trend"
 - "bar" → user says "chart", "graph", "visualize", "bar"
 - null → no visualization requested
+("stacked", "grouped" and "horizontal" are read from the question, keep chartType "bar")
+
+MULTI-SERIES CHARTS ("revenue by month per category", "units vs revenue by country"):
+- One series per value of a second dimension: return one row per (x, series) pair with the x column first, the series column second and ONE metric last
+  SELECT DATE_TRUNC('month', sale_date)::date AS month, category, ROUND(SUM(revenue), 2) AS total_revenue FROM sales_data GROUP BY 1, 2 ORDER BY 1, 2
+- One series per metric: return one row per x value with one numeric column per metric
+  SELECT country, ${metricSelect('units')}, ${metricSelect('revenue')} FROM sales_data GROUP BY country ORDER BY ${semanticLayer.metrics.revenue.alias} DESC LIMIT 10
+- For trends over time, use the date (or DATE_TRUNC of it) as the x column and ORDER BY it
+
+DATE RANGES AND COMPARISONS:
+${describeDatesForPrompt(question)}
+- Filter periods as sale_date >= start AND sale_date < end (the end is exclusive)
+- Keep relative periods ("last quarter", "this month", "YTD", "last 90 days") relative to CURRENT_DATE so saved reports roll forward, e.g. last month:
+  sale_date >= (DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '1 month')::date AND sale_date < DATE_TRUNC('month', CURRENT_DATE)::date
+- Period-over-period questions ("month over month", "vs. same period last year", "compared to the previous quarter") return one row (per group, if grouped) with current_<metric>, previous_<metric>, change and change_pct columns:
+  SELECT category, current_total_revenue, previous_total_revenue, current_total_revenue - previous_total_revenue AS change, ROUND(100.0 * (current_total_revenue - previous_total_revenue) / NULLIF(previous_total_revenue, 0), 1) AS change_pct
+  FROM (SELECT category, ${metricSql('revenue', 'sale_date >= <current start> AND sale_date < <current end>')} AS current_total_revenue, ${metricSql('revenue', 'sale_date >= <previous start> AND sale_date < <previous end>')} AS previous_total_revenue FROM sales_data GROUP BY category) AS periods
+  ORDER BY current_total_revenue DESC
+
+SIDE-BY-SIDE COMPARISONS ("compare USA and Canada", "Electronics vs Clothing", "Air Fryer versus Blender"):
+- One column per compared value named "<value> <metric>", then difference (first minus second; highest minus lowest for three or more) and ratio columns
+- Break the comparison down by another dimension (countries → by category, categories or products → by country) unless the user asks for totals or names a grouping
+  SELECT category, "USA revenue", "Canada revenue", "USA revenue" - "Canada revenue" AS difference, ROUND("USA revenue"::numeric / NULLIF("Canada revenue", 0), 2) AS ratio
+  FROM (SELECT category, ${metricSql('revenue', "country = 'USA'")} AS "USA revenue", ${metricSql('revenue', "country = 'Canada'")} AS "Canada revenue" FROM sales_data WHERE country IN ('USA', 'Canada') GROUP BY category) AS compared
+  ORDER BY "USA revenue" + "Canada revenue" DESC
+- Use chartType "bar" (grouped bars) rather than "pie" for comparisons
+
+CLARIFYING QUESTIONS:
+- If the question has several reasonable readings that give different answers, don't guess. Respond with this instead of "sql":
+  {"clarification": {"question": "Short question back to the user", "options": [{"label": "By revenue", "question": "Top products by revenue", "metric": "revenue"}]}}
+- Give 2-${MAX_CLARIFICATION_OPTIONS} options. Each "question" is the user's question rewritten so it has one reading. Add "metric" (a key from the Metrics list: ${Object.keys(semanticLayer.metrics).join(', ')}) when the option picks a measure
+- Ask when a ranking doesn't name its measure ("top products", "best categories")${semanticLayer.clarifyRankingBy.length > 0 ? `, offering ${semanticLayer.clarifyRankingBy.map(key => semanticLayer.metrics[key].label).join(', ')}` : ''}${preferredMetric ? `, except for this user: they picked ${preferredMetric.label} before, so rank by it without asking` : ''}
+- Also ask when a request is too vague to turn into one query ("how are we doing?"), offering the most likely concrete questions
+- Don't ask when the question or the conversation already settles it
 
 Return ONLY the JSON object.`;
 
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1500,
-      temperature: 0.1, // Very low temperature for accuracy
-      messages: [{
-        role: 'user',
-        content: prompt
-      }]
-    });
+    const response = await completeLlm('sql', prompt, { usageContext, hints: { question, preferences } });
 
-    const responseText = message.content[0].text;
+    const responseText = response.text;
     
     // Parse JSON response
     const jsonMatch = responseText.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       const result = JSON.parse(jsonMatch[0]);
+      if (result.clarification && !result.sql) {
+        const clarification = normalizeClarification(result.clarification);
+        console.log('AI asked for clarification:', clarification && clarification.question);
+        return clarification ? { clarification: clarification } : null;
+      }
       console.log('AI Generated Query:', result.sql);
       console.log('Explanation:', result.explanation);
       
-      // Store successful query for learning
-      queryHistory.push({
-        question: question,
-        sql: result.sql,
-        timestamp: new Date()
-      });
-      
-      // Keep only last 20 queries
-      if (queryHistory.length > 20) {
-        queryHistory.shift();
-      }
-      
       return {
         sql: result.sql,
         chartType: result.chartType,
@@ -498,143 +1862,523 @@ Return ONLY the JSON object.`;
   }
 }
 
-// Process natural language questions and convert to SQL
-function processQuestion(question) {
-  const q = question.toLowerCase().trim();
+// Date ranges: relative phrases ("last quarter", "YTD", "last 90 days") become SQL on CURRENT_DATE so pinned
+// reports keep rolling; absolute ones ("Q3 2025", "February 2024") become fixed dates. Ends are exclusive.
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const DATE_UNITS = { day: 'days', days: 'days', week: 'weeks', weeks: 'weeks', month: 'months', months: 'months', quarter: 'quarters', quarters: 'quarters', year: 'years', years: 'years' };
+const DEFAULT_COMPARISON_DAYS = 30;
+
+// Today's year, month (1-12) and day in a time zone
+function todayInTimeZone(timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric', day: 'numeric' }).formatToParts(new Date());
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day') };
+}
+
+// 'YYYY-MM-DD' for a year, month (1-12, may overflow) and day
+function isoDate(year, month, day = 1) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+// SQL interval for a number of date units ("1 month", "3 months" for a quarter)
+function intervalSql(unit, count) {
+  if (unit === 'quarter') return `INTERVAL '${count * 3} months'`;
+  return `INTERVAL '${count} ${unit}${count === 1 ? '' : 's'}'`;
+}
+
+// Move a range bound back by a number of units (SQL bounds stay relative, fixed dates are computed)
+function shiftDateBound(bound, unit, count) {
+  if (bound.sql) return { sql: `(${bound.sql} - ${intervalSql(unit, count)})::date` };
+  
+  const [year, month, day] = bound.date.split('-').map(Number);
+  if (unit === 'day') return { date: isoDate(year, month, day - count) };
+  if (unit === 'week') return { date: isoDate(year, month, day - count * 7) };
+  const months = unit === 'year' ? count * 12 : unit === 'quarter' ? count * 3 : count;
+  const lastDay = new Date(Date.UTC(year, month - 1 - months + 1, 0)).getUTCDate();
+  return { date: isoDate(year, month - months, Math.min(day, lastDay)) };
+}
+
+// Relative calendar period: offset 0 is the current one so far, 1 the last full one, and so on
+function relativeCalendarRange(unit, offset, label) {
+  const truncated = `DATE_TRUNC('${unit}', CURRENT_DATE)`;
+  const start = offset === 0 ? `${truncated}::date` : `(${truncated} - ${intervalSql(unit, offset)})::date`;
+  const end = offset === 0 ? 'CURRENT_DATE + 1' : offset === 1 ? `${truncated}::date` : `(${truncated} - ${intervalSql(unit, offset - 1)})::date`;
+  return { start: { sql: start }, end: { sql: end }, unit: unit, count: 1, label: label };
+}
+
+// Find the date range a question asks about → { start, end, unit, count, label, phrase } or null
+function parseDateRange(question, today = todayInTimeZone(DEFAULT_TIMEZONE)) {
+  const q = question.toLowerCase();
+  const withPhrase = (match, range) => ({ ...range, phrase: match[0] });
+  let match;
   
-  // Check for chart requests
-  const isChartRequest = q.includes('chart') || q.includes('graph') || 
-                        q.includes('visualiz') || q.includes('pie') || q.includes('line');
+  if ((match = q.match(/\btoday\b/))) {
+    return withPhrase(match, { start: { sql: 'CURRENT_DATE' }, end: { sql: 'CURRENT_DATE + 1' }, unit: 'day', count: 1, label: 'today' });
+  }
+  if ((match = q.match(/\byesterday\b/))) {
+    return withPhrase(match, { start: { sql: 'CURRENT_DATE - 1' }, end: { sql: 'CURRENT_DATE' }, unit: 'day', count: 1, label: 'yesterday' });
+  }
   
-  // Determine chart type
-  let chartType = null;
-  if (isChartRequest) {
-    if (q.includes('pie')) chartType = 'pie';
-    else if (q.includes('line')) chartType = 'line';
-    else chartType = 'bar';
+  // "YTD", "quarter to date", "this month", "current week"
+  if ((match = q.match(/\b(ytd|qtd|mtd|wtd)\b|\b(year|quarter|month|week)[ -]to[ -]date\b|\b(?:this|current)\s+(year|quarter|month|week)\b/))) {
+    const unit = match[2] || match[3] || { ytd: 'year', qtd: 'quarter', mtd: 'month', wtd: 'week' }[match[1]];
+    return withPhrase(match, relativeCalendarRange(unit, 0, `this ${unit} to date`));
   }
   
-  // Sales by category
-  if ((q.includes('sales') || q.includes('revenue')) && q.includes('category')) {
-    return { 
-      sql: 'SELECT category, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY category ORDER BY total_revenue DESC',
-      chartType: chartType
-    };
+  // "last 90 days", "past 6 months", "previous 2 quarters"
+  if ((match = q.match(/\b(?:last|past|previous|trailing)\s+(\d+)\s+(days?|weeks?|months?|quarters?|years?)\b/))) {
+    const count = parseInt(match[1], 10);
+    const unit = DATE_UNITS[match[2]].replace(/s$/, '');
+    const days = unit === 'day' ? count : unit === 'week' ? count * 7 : null;
+    const start = days !== null
+      ? `CURRENT_DATE - ${days - 1}`
+      : `(CURRENT_DATE + 1 - ${intervalSql(unit, count)})::date`;
+    return withPhrase(match, {
+      start: { sql: start },
+      end: { sql: 'CURRENT_DATE + 1' },
+      unit: days !== null ? 'day' : unit,
+      count: days !== null ? days : count,
+      label: `last ${count} ${DATE_UNITS[match[2]]}`
+    });
   }
   
-  // Sales by country
-  if ((q.includes('sales') || q.includes('revenue')) && q.includes('country')) {
-    return { 
-      sql: 'SELECT country, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY country ORDER BY total_revenue DESC',
-      chartType: chartType
-    };
+  // "last quarter", "previous month", "last year"
+  if ((match = q.match(/\b(?:last|previous|prior)\s+(year|quarter|month|week)\b/))) {
+    return withPhrase(match, relativeCalendarRange(match[1], 1, `last ${match[1]}`));
   }
   
-  // Total sales/revenue queries
-  if (q.includes('total sales') || q.includes('total revenue')) {
-    if (q.includes('by category') || q.includes('per category')) {
-      return { 
-        sql: 'SELECT category, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY category ORDER BY total_revenue DESC',
-        chartType: chartType
-      };
-    }
-    if (q.includes('by country') || q.includes('per country')) {
-      return { 
-        sql: 'SELECT country, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY country ORDER BY total_revenue DESC',
-        chartType: chartType
-      };
-    }
-    return { sql: 'SELECT ROUND(SUM(revenue), 2) as total_revenue, COUNT(*) as total_sales FROM sales_data' };
+  // "Q3 2025", "Q3" (the latest Q3 that has started)
+  if ((match = q.match(/\bq([1-4])(?:\s*(?:of\s+)?'?(\d{4}|\d{2}))?\b/))) {
+    const quarter = parseInt(match[1], 10);
+    let year = match[2] ? parseInt(match[2].length === 2 ? `20${match[2]}` : match[2], 10) : today.year;
+    if (!match[2] && (quarter - 1) * 3 + 1 > today.month) year -= 1;
+    return withPhrase(match, {
+      start: { date: isoDate(year, (quarter - 1) * 3 + 1) },
+      end: { date: isoDate(year, quarter * 3 + 1) },
+      unit: 'quarter',
+      count: 1,
+      label: `Q${quarter} ${year}`
+    });
   }
   
-  // Count queries
-  if (q.includes('how many') || q.includes('count')) {
-    if (q.includes('product') || q.includes('sale')) {
-      return { sql: 'SELECT COUNT(*) as total_sales FROM sales_data' };
-    }
-    if (q.includes('categor')) {
-      return { sql: 'SELECT COUNT(DISTINCT category) as category_count FROM sales_data' };
-    }
-    if (q.includes('countr')) {
-      return { sql: 'SELECT COUNT(DISTINCT country) as country_count FROM sales_data' };
+  // "since March", "since March 2024", "since 2024": open ranges from the start of that month or year up to today
+  const monthPattern = MONTH_NAMES.join('|');
+  if ((match = q.match(new RegExp(`\\bsince\\s+(?:(${monthPattern})(?:\\s+(\\d{4}))?|(20\\d{2}))\\b`)))) {
+    const end = { sql: 'CURRENT_DATE + 1' };
+    if (match[3]) {
+      const year = parseInt(match[3], 10);
+      return withPhrase(match, { start: { date: isoDate(year, 1) }, end: end, unit: 'year', count: Math.max(today.year - year + 1, 1), label: `since ${year}` });
     }
+    const month = MONTH_NAMES.indexOf(match[1]) + 1;
+    let year = match[2] ? parseInt(match[2], 10) : today.year;
+    if (!match[2] && month > today.month) year -= 1;
+    const label = `since ${match[1].charAt(0).toUpperCase()}${match[1].slice(1, 3)} ${year}`;
+    const count = Math.max((today.year - year) * 12 + today.month - month + 1, 1);
+    return withPhrase(match, { start: { date: isoDate(year, month) }, end: end, unit: 'month', count: count, label: label });
   }
   
-  // Top/Best queries
-  if (q.includes('top') || q.includes('best')) {
-    if (q.includes('product')) {
-      return { 
-        sql: 'SELECT product_name, COUNT(*) as times_sold, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY product_name ORDER BY total_revenue DESC LIMIT 10',
-        chartType: chartType
-      };
-    }
-    if (q.includes('categor')) {
-      return { 
-        sql: 'SELECT category, COUNT(*) as sales_count, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY category ORDER BY total_revenue DESC LIMIT 5',
-        chartType: chartType
-      };
-    }
-    if (q.includes('countr')) {
-      return { 
-        sql: 'SELECT country, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data GROUP BY country ORDER BY total_revenue DESC LIMIT 10',
-        chartType: chartType
+  // "February 2024", "in March" (the latest March that has started)
+  if ((match = q.match(new RegExp(`\\b(${monthPattern})\\s+(\\d{4})\\b`))) ||
+      (match = q.match(new RegExp(`\\b(?:in|for|during|of)\\s+(${monthPattern})\\b`)))) {
+    const month = MONTH_NAMES.indexOf(match[1]) + 1;
+    let year = match[2] ? parseInt(match[2], 10) : today.year;
+    if (!match[2] && month > today.month) year -= 1;
+    const label = `${match[1].charAt(0).toUpperCase()}${match[1].slice(1, 3)} ${year}`;
+    return withPhrase(match, { start: { date: isoDate(year, month) }, end: { date: isoDate(year, month + 1) }, unit: 'month', count: 1, label: label });
+  }
+  
+  // "in 2024", "for 2025", "year 2023"
+  if ((match = q.match(/\b(?:in|for|during|year)\s+(20\d{2})\b/))) {
+    const year = parseInt(match[1], 10);
+    return withPhrase(match, { start: { date: isoDate(year, 1) }, end: { date: isoDate(year + 1, 1) }, unit: 'year', count: 1, label: String(year) });
+  }
+  
+  return null;
+}
+
+// Find a period-over-period comparison → { kind: 'previous' | 'year', unit, phrase } or null
+function parseComparison(question) {
+  const q = question.toLowerCase();
+  let match;
+  
+  if ((match = q.match(/\b(year over year|year-over-year|yoy|y\/y)\b|\b(?:vs\.?|versus|compared (?:to|with)|against)\s+(?:the\s+)?same\s+(?:period|time|day|week|month|quarter)\s+(?:last|a|the previous|the prior)\s+year\b|\b(?:vs\.?|versus|compared (?:to|with))\s+last\s+year\b/))) {
+    return { kind: 'year', unit: 'year', phrase: match[0] };
+  }
+  if ((match = q.match(/\b(week|month|quarter)[ -]over[ -](?:week|month|quarter)\b|\b(wow|mom|qoq|w\/w|m\/m|q\/q)\b/))) {
+    const unit = match[1] || { wow: 'week', 'w/w': 'week', mom: 'month', 'm/m': 'month', qoq: 'quarter', 'q/q': 'quarter' }[match[2]];
+    return { kind: 'previous', unit: unit, phrase: match[0] };
+  }
+  if ((match = q.match(/\b(?:vs\.?|versus|compared (?:to|with)|against)\s+(?:the\s+)?(?:previous|prior|last|preceding)\s+(period|week|month|quarter)\b/))) {
+    return { kind: 'previous', unit: match[1] === 'period' ? null : match[1], phrase: match[0] };
+  }
+  
+  return null;
+}
+
+// Current and previous ranges for a comparison (defaults: last full period for MoM/WoW/QoQ, YTD for YoY)
+function comparisonRanges(comparison, range) {
+  let current = range;
+  if (!current) {
+    if (comparison.kind === 'year') current = relativeCalendarRange('year', 0, 'this year to date');
+    else if (comparison.unit) current = relativeCalendarRange(comparison.unit, 1, `last ${comparison.unit}`);
+    else {
+      current = {
+        start: { sql: `CURRENT_DATE - ${DEFAULT_COMPARISON_DAYS - 1}` },
+        end: { sql: 'CURRENT_DATE + 1' },
+        unit: 'day',
+        count: DEFAULT_COMPARISON_DAYS,
+        label: `last ${DEFAULT_COMPARISON_DAYS} days`
       };
     }
   }
   
-  // Average queries
-  if (q.includes('average') || q.includes('avg')) {
-    if (q.includes('rating')) {
-      return { sql: 'SELECT ROUND(AVG(rating), 2) as average_rating FROM sales_data' };
+  const [unit, count] = comparison.kind === 'year' ? ['year', 1] : [current.unit, current.count];
+  const previous = {
+    start: shiftDateBound(current.start, unit, count),
+    end: shiftDateBound(current.end, unit, count),
+    label: comparison.kind === 'year'
+      ? (/^\d{4}$|^Q\d \d{4}$|^[A-Z][a-z]{2} \d{4}$/.test(current.label)
+        ? current.label.replace(/\d{4}$/, year => String(Number(year) - 1))
+        : 'same period last year')
+      : previousRangeLabel(current)
+  };
+  return { current, previous };
+}
+
+// Label for the period just before a range ("Q2 2025", "the month before", "the 90 days before")
+function previousRangeLabel(range) {
+  if (range.start.date && range.end.date && range.count === 1 && range.unit !== 'day') {
+    const [year, month] = range.start.date.split('-').map(Number);
+    if (range.unit === 'year') return String(year - 1);
+    if (range.unit === 'quarter') {
+      const quarter = Math.floor((month - 1) / 3);
+      return quarter === 0 ? `Q4 ${year - 1}` : `Q${quarter} ${year}`;
     }
-    if (q.includes('revenue') || q.includes('sale')) {
-      return { sql: 'SELECT ROUND(AVG(revenue), 2) as average_revenue FROM sales_data' };
+    if (range.unit === 'month') {
+      const previous = new Date(Date.UTC(year, month - 2, 1));
+      return `${MONTH_NAMES[previous.getUTCMonth()].replace(/^./, c => c.toUpperCase()).slice(0, 3)} ${previous.getUTCFullYear()}`;
     }
   }
+  if (range.count === 1) return `the ${range.unit} before`;
+  return `the ${range.count} ${DATE_UNITS[range.unit]} before`;
+}
+
+// Describe today's date and any date range or comparison in a question for the SQL prompt
+function describeDatesForPrompt(question) {
+  const today = todayInTimeZone(DEFAULT_TIMEZONE);
+  const comparison = parseComparison(question);
+  const range = parseDateRange(comparison ? question.toLowerCase().replace(comparison.phrase, ' ') : question, today);
+  const bound = b => (b.sql ? b.sql : `'${b.date}'`);
+  const lines = [`Today is ${isoDate(today.year, today.month, today.day)}.`];
   
-  // Rating queries
-  if (q.includes('rating') || q.includes('rated')) {
-    if (q.includes('highest') || q.includes('best')) {
-      return { sql: 'SELECT product_name, category, ROUND(AVG(rating), 2) as avg_rating FROM sales_data GROUP BY product_name, category HAVING COUNT(*) >= 3 ORDER BY avg_rating DESC LIMIT 10' };
-    }
-    return { 
-      sql: 'SELECT category, ROUND(AVG(rating), 2) as avg_rating FROM sales_data GROUP BY category ORDER BY avg_rating DESC',
-      chartType: chartType
-    };
+  if (comparison) {
+    const { current, previous } = comparisonRanges(comparison, range);
+    lines.push(`This question compares ${current.label} (sale_date >= ${bound(current.start)} AND sale_date < ${bound(current.end)}) ` +
+      `with ${previous.label} (sale_date >= ${bound(previous.start)} AND sale_date < ${bound(previous.end)}).`);
+  } else if (range) {
+    lines.push(`"${range.phrase}" means sale_date >= ${bound(range.start)} AND sale_date < ${bound(range.end)}.`);
   }
+  return lines.join('\n');
+}
+
+// Rule-based parser: the entities it can pull out of a question
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20 };
+const COUNT_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const COMPARATOR_PATTERN = '(above|over|greater than|more than|higher than|at least|exceeding|>=|>|below|under|less than|lower than|at most|<=|<)';
+const COMPARATORS = {
+  above: '>', over: '>', 'greater than': '>', 'more than': '>', 'higher than': '>', exceeding: '>', '>': '>',
+  'at least': '>=', '>=': '>=',
+  below: '<', under: '<', 'less than': '<', 'lower than': '<', '<': '<',
+  'at most': '<=', '<=': '<='
+};
+const DEFAULT_RULE_LIMIT = 10;
+
+// Parse "5", "five" or "$1,200" / "2k" into a number
+function parseRuleNumber(text, suffix) {
+  const value = NUMBER_WORDS[text] || parseFloat(String(text).replace(/[$,]/g, ''));
+  if (suffix === 'k') return value * 1000;
+  if (suffix === 'm') return value * 1000000;
+  return value;
+}
+
+// Pull metric, grouping, filters, thresholds and limits out of a question (an unnamed metric is the
+// user's preferred one, if they have picked one before)
+function extractQuestionEntities(question, preferences = {}) {
+  let q = question.toLowerCase().replace(/\s+/g, ' ').trim();
+  const entities = {
+    categories: findMentionedValues(question, 'category'),
+    countries: findMentionedValues(question, 'country'),
+    products: findMentionedValues(question, 'product_name'),
+    compared: null,
+    dateRange: null,
+    comparison: parseComparison(q),
+    ratingThreshold: null,
+    revenueThreshold: null,
+    metric: semanticLayer.metrics[preferences.metric] ? preferences.metric : semanticLayer.defaultMetric,
+    metricExplicit: false,
+    dimension: null,
+    countDistinct: null,
+    listRecent: false,
+    limit: null,
+    direction: 'desc',
+    chartType: null
+  };
   
-  // Recent/Latest queries
-  if (q.includes('recent') || q.includes('latest') || q.includes('last')) {
-    return { sql: 'SELECT sale_date, product_name, category, country, revenue, rating FROM sales_data ORDER BY sale_date DESC LIMIT 10' };
-  }
+  // Dates are handled on their own, so "last 90 days" or "month over month" don't read as limits or groupings
+  // (the comparison first, so "vs same period last year" isn't also taken as the range)
+  if (entities.comparison) q = q.replace(entities.comparison.phrase, ' ');
+  entities.dateRange = parseDateRange(q);
+  if (entities.dateRange) q = q.replace(entities.dateRange.phrase, ' ');
   
-  // Category-specific queries
-  if (q.includes('electronics')) {
-    return { sql: "SELECT product_name, ROUND(SUM(revenue), 2) as total_revenue, ROUND(AVG(rating), 2) as avg_rating FROM sales_data WHERE category = 'Electronics' GROUP BY product_name ORDER BY total_revenue DESC LIMIT 10" };
+  // Thresholds first, and cut out of the text so "rating above 4" doesn't also pick the metric
+  const ratingPatterns = [
+    new RegExp(`\\b(?:rating|ratings|rated|stars?)\\s+(?:of\\s+|is\\s+)?${COMPARATOR_PATTERN}\\s+(\\d(?:\\.\\d+)?)`),
+    new RegExp(`\\b${COMPARATOR_PATTERN}\\s+(\\d(?:\\.\\d+)?)\\s*stars?`)
+  ];
+  for (const pattern of ratingPatterns) {
+    const match = q.match(pattern);
+    if (match) {
+      entities.ratingThreshold = { op: COMPARATORS[match[1]], value: parseFloat(match[2]) };
+      q = q.replace(match[0], ' ');
+      break;
+    }
+  }
+  const starsAndUp = q.match(/\b(\d(?:\.\d+)?)\s*(?:\+\s*stars?|stars? (?:and|or) (?:up|above|higher|more))/);
+  if (!entities.ratingThreshold && starsAndUp) {
+    entities.ratingThreshold = { op: '>=', value: parseFloat(starsAndUp[1]) };
+    q = q.replace(starsAndUp[0], ' ');
   }
   
-  // Country-specific queries
-  const countries = ['usa', 'canada', 'uk', 'germany', 'france', 'australia'];
-  for (let country of countries) {
-    if (q.includes(country)) {
-      const countryName = country.toUpperCase() === 'UK' ? 'UK' : country.charAt(0).toUpperCase() + country.slice(1);
-      return { sql: `SELECT product_name, category, ROUND(SUM(revenue), 2) as total_revenue FROM sales_data WHERE country = '${countryName}' GROUP BY product_name, category ORDER BY total_revenue DESC LIMIT 10` };
+  const revenuePatterns = [
+    new RegExp(`\\b(?:revenue|sales|sale|spend|spent|worth|value|orders?)\\s+(?:of\\s+|is\\s+)?${COMPARATOR_PATTERN}\\s+\\$?([\\d,]+(?:\\.\\d+)?)\\s*(k|m)?\\b`),
+    new RegExp(`\\b${COMPARATOR_PATTERN}\\s+\\$([\\d,]+(?:\\.\\d+)?)\\s*(k|m)?\\b`)
+  ];
+  for (const pattern of revenuePatterns) {
+    const match = q.match(pattern);
+    if (match) {
+      entities.revenueThreshold = { op: COMPARATORS[match[1]], value: parseRuleNumber(match[2], match[3]) };
+      q = q.replace(match[0], ' ');
+      break;
     }
   }
   
-  return null;
-}
-
-// Format results for Slack display
-function formatResults(data, query) {
-  if (!data || data.length === 0) {
-    return '📊 No results found for this query.';
+  // Chart type
+  if (/chart|graph|visualiz|pie|line/.test(q)) {
+    entities.chartType = q.includes('pie') ? 'pie' : q.includes('line') ? 'line' : 'bar';
   }
   
-  const q = query.toLowerCase();
+  // Metric from the catalog's synonyms ("best-selling" → units, "aov" → average order value)
+  const mentionedMetric = findMentionedMetric(q);
+  if (mentionedMetric) entities.metric = mentionedMetric;
+  entities.metricExplicit = Boolean(mentionedMetric);
   
-  // Single value result - make it big and bold
-  if (data.length === 1 && Object.keys(data[0]).length === 1) {
+  // "How many countries ..." counts distinct values instead of aggregating
+  const pluralWords = dimensionWordsPattern(false, word => word.endsWith('s'));
+  const distinct = q.match(new RegExp(`\\b(?:how many|number of|count of)\\s+(?:different |distinct |unique )?(${pluralWords})\\b`));
+  if (distinct && !mentionedMetric) entities.countDistinct = dimensionForWord(distinct[1]);
+  
+  entities.listRecent = /\b(recent|latest|newest)\b/.test(q);
+  
+  // Grouping dimension: time words, "by/per/each <dimension>", then plural or "which <dimension>"
+  const dimensionWords = dimensionWordsPattern(false);
+  const timeMatch = q.match(new RegExp(`\\b(${dimensionWordsPattern(true)})\\b`));
+  const byMatch = q.match(new RegExp(`\\b(?:by|per|each|every|across|for each|in each)\\s+(${dimensionWords})\\b`));
+  const whichMatch = q.match(new RegExp(`\\b(?:which|what)\\s+(?:\\d+\\s+|[a-z]+\\s+)?(${dimensionWords})\\b`));
+  const pluralMatch = q.match(new RegExp(`\\b(${pluralWords})\\b`));
+  const dimensionWord = (byMatch || whichMatch || pluralMatch || [])[1];
+  
+  if (timeMatch) {
+    entities.dimension = dimensionForWord(timeMatch[1]);
+  } else if (dimensionWord && !entities.countDistinct) {
+    entities.dimension = dimensionForWord(dimensionWord);
+  }
+  
+  // Side-by-side comparison of two or more countries, categories or products ("USA vs Canada"),
+  // broken down by another dimension unless the question asks for totals
+  if (/\b(compare|comparing|comparison|vs\.?|versus|against|difference between)\b/.test(q)) {
+    const comparable = [['country', entities.countries], ['category', entities.categories], ['product', entities.products]];
+    const [key, values] = comparable.find(([, mentioned]) => mentioned.length >= 2) || [];
+    if (key) {
+      entities.compared = { dimension: key, values: values };
+      if (entities.dimension === key) entities.dimension = null;
+      if (!entities.dimension && !/\b(total|overall|in total)\b/.test(q)) {
+        // Skip a breakdown that's already filtered to one value ("USA vs Canada in Electronics" → by product)
+        if (key === 'country') entities.dimension = entities.categories.length === 1 ? 'product' : 'category';
+        else if (key === 'category') entities.dimension = entities.countries.length === 1 ? 'product' : 'country';
+        else if (entities.countries.length !== 1) entities.dimension = 'country';
+      }
+    }
+  }
+  
+  // Limits and direction ("top 5", "3 worst", "which 3 countries", "lowest")
+  const limitMatch = q.match(new RegExp(`\\b(?:top|best|bottom|worst|first|highest|lowest|largest|smallest|biggest)\\s+${COUNT_PATTERN}\\b`)) ||
+    q.match(new RegExp(`\\b${COUNT_PATTERN}\\s+(?:best|top|worst|highest|lowest|biggest|largest|smallest|most|least)\\b`)) ||
+    q.match(new RegExp(`\\b(?:which|what)\\s+${COUNT_PATTERN}\\b`));
+  if (limitMatch) entities.limit = parseRuleNumber(limitMatch[1]);
+  if (/\b(bottom|worst|lowest|least|smallest|fewest|poorest)\b/.test(q)) entities.direction = 'asc';
+  
+  // "Which category has the highest ..." asks for one row; "top products" for a short list
+  const isSuperlative = /\b(top|best|bottom|worst|highest|lowest|most|least|largest|smallest|biggest)\b/.test(q);
+  const isSingular = whichMatch && !/(ies|s)$/.test(whichMatch[1]);
+  if (!entities.limit && entities.dimension && isSuperlative) {
+    entities.limit = isSingular ? 1 : DEFAULT_RULE_LIMIT;
+  }
+  
+  return entities;
+}
+
+// Replace $1, $2, ... with literals, for places that need self-contained SQL (editing, pinned reports, prompts)
+function inlineSqlParams(sql, params = []) {
+  if (!params || params.length === 0) return sql;
+  return sql.replace(/\$(\d+)\b/g, (match, index) => {
+    const value = params[Number(index) - 1];
+    return typeof value === 'number' ? String(value) : quoteLiteral(value);
+  });
+}
+
+// Build a parameterized query from extracted entities (null if nothing usable was found)
+function buildEntityQuery(entities) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const dateBound = bound => (bound.sql ? bound.sql : param(bound.date));
+  const dateCondition = range => `sale_date >= ${dateBound(range.start)} AND sale_date < ${dateBound(range.end)}`;
+  const hasFilters = entities.categories.length > 0 || entities.countries.length > 0 || Boolean(entities.dateRange) ||
+    Boolean(entities.ratingThreshold) || Boolean(entities.revenueThreshold);
+  
+  if (!entities.metricExplicit && !entities.dimension && !entities.countDistinct && !entities.listRecent &&
+      !entities.comparison && !hasFilters) {
+    return null;
+  }
+  
+  // Period comparisons put both periods side by side, so they only group by non-time dimensions
+  // (a comparison of named countries, categories or products takes precedence)
+  const compared = entities.compared && !entities.countDistinct && !entities.listRecent ? entities.compared : null;
+  const comparison = entities.comparison && !compared && !entities.countDistinct && !entities.listRecent
+    ? comparisonRanges(entities.comparison, entities.dateRange)
+    : null;
+  
+  // Without a metric or grouping, questions like "clothing in Canada" list the matching products
+  let dimensionKey = entities.dimension;
+  if (comparison && dimensionKey && semanticLayer.dimensions[dimensionKey].time) dimensionKey = null;
+  const isProductListing = !dimensionKey && !entities.metricExplicit && !entities.countDistinct && !entities.listRecent &&
+    !comparison && !compared && entities.products.length === 0;
+  if (isProductListing) dimensionKey = 'product';
+  const dimension = dimensionKey ? semanticLayer.dimensions[dimensionKey] : null;
+  
+  // Row filters; thresholds on a grouped metric become HAVING conditions
+  const where = [];
+  const having = [];
+  if (entities.categories.length > 0) where.push(`category IN (${entities.categories.map(param).join(', ')})`);
+  if (entities.countries.length > 0) where.push(`country IN (${entities.countries.map(param).join(', ')})`);
+  if (entities.products.length > 0) where.push(`product_name IN (${entities.products.map(param).join(', ')})`);
+  if (comparison) where.push(`sale_date >= ${dateBound(comparison.previous.start)} AND sale_date < ${dateBound(comparison.current.end)}`);
+  else if (entities.dateRange) where.push(dateCondition(entities.dateRange));
+  if (entities.ratingThreshold) {
+    const { op, value } = entities.ratingThreshold;
+    if (dimensionKey === 'product' && !comparison && !compared) having.push(`${metricSql('rating')} ${op} ${param(value)}`);
+    else where.push(`rating ${op} ${param(value)}`);
+  }
+  if (entities.revenueThreshold) {
+    const { op, value } = entities.revenueThreshold;
+    if (dimension && !dimension.time && !comparison && !compared) having.push(`${metricSql('revenue')} ${op} ${param(value)}`);
+    else where.push(`revenue ${op} ${param(value)}`);
+  }
+  const whereSql = where.length > 0 ? ` WHERE ${where.join(' AND ')}` : '';
+  
+  const metric = semanticLayer.metrics[entities.metric];
+  const metricAlias = metric.alias;
+  const restrictedMetricSql = condition => metricSql(entities.metric, condition);
+  const describedFilters = [...entities.categories, ...entities.countries, ...entities.products]
+    .filter(value => !compared || !compared.values.includes(value));
+  describedFilters.push(
+    ...(entities.dateRange && !comparison ? [entities.dateRange.label] : []),
+    ...(entities.ratingThreshold ? [`rating ${entities.ratingThreshold.op} ${entities.ratingThreshold.value}`] : []),
+    ...(entities.revenueThreshold ? [`revenue ${entities.revenueThreshold.op} ${entities.revenueThreshold.value}`] : []));
+  const filterText = describedFilters.length > 0 ? ` for ${describedFilters.join(', ')}` : '';
+  let sql;
+  let explanation;
+  
+  if (entities.listRecent) {
+    sql = `SELECT sale_date, product_name, category, country, revenue, rating, quantity_sold FROM sales_data${whereSql} ORDER BY sale_date DESC LIMIT ${param(entities.limit || DEFAULT_RULE_LIMIT)}`;
+    explanation = `Most recent sales${filterText}`;
+  } else if (entities.countDistinct) {
+    const counted = semanticLayer.dimensions[entities.countDistinct];
+    const plural = (counted.synonyms || []).find(word => word.endsWith('s')) || `${entities.countDistinct}s`;
+    sql = `SELECT COUNT(DISTINCT ${counted.expression}) AS ${entities.countDistinct}_count FROM sales_data${whereSql}`;
+    explanation = `Number of different ${plural}${filterText}`;
+  } else if (compared) {
+    // One column per compared value, with the difference and ratio (between the two, or highest and lowest of more)
+    const column = semanticLayer.dimensions[compared.dimension].expression;
+    const valueColumns = compared.values.map(value => quoteIdentifier(`${value} ${metric.label}`.slice(0, 60)));
+    const [first, second] = valueColumns;
+    const highest = `GREATEST(${valueColumns.join(', ')})`;
+    const lowest = `LEAST(${valueColumns.join(', ')})`;
+    // Cast the numerator so counts and unit sums (bigint) don't divide as integers
+    const gapSql = valueColumns.length === 2
+      ? `${first} - ${second} AS difference, ROUND(${first}::numeric / NULLIF(${second}, 0), 2) AS ratio`
+      : `${highest} - ${lowest} AS difference, ROUND(${highest}::numeric / NULLIF(${lowest}, 0), 2) AS ratio`;
+    const selectDimension = dimension ? `${dimension.expression === dimension.alias ? dimension.expression : `${dimension.expression} AS ${dimension.alias}`}, ` : '';
+    const orderSql = dimension
+      ? ` ORDER BY ${dimension.time ? dimension.alias : `${valueColumns.join(' + ')} ${entities.direction === 'asc' ? 'ASC' : 'DESC'}`}`
+      : '';
+    sql = `SELECT ${dimension ? `${dimension.alias}, ` : ''}${valueColumns.join(', ')}, ${gapSql} ` +
+      `FROM (SELECT ${selectDimension}` +
+      compared.values.map((value, i) => `${restrictedMetricSql(`${column} = ${param(value)}`)} AS ${valueColumns[i]}`).join(', ') +
+      ` FROM sales_data${whereSql}${dimension ? ` GROUP BY ${dimension.expression}` : ''}) AS compared` +
+      `${orderSql}${dimension && entities.limit ? ` LIMIT ${param(entities.limit)}` : ''}`;
+    explanation = `${metricTitle(entities.metric)}${dimension ? ` by ${dimensionKey}` : ''}: ${compared.values.join(' vs ')}${filterText}`;
+  } else if (comparison) {
+    // Both periods side by side, with absolute and percentage change
+    const current = `current_${metricAlias}`;
+    const previous = `previous_${metricAlias}`;
+    const groupColumn = dimension ? `${dimension.expression}, ` : '';
+    sql = `SELECT ${groupColumn}${current}, ${previous}, ${current} - ${previous} AS change, ` +
+      `ROUND(100.0 * (${current} - ${previous}) / NULLIF(${previous}, 0), 1) AS change_pct ` +
+      `FROM (SELECT ${groupColumn}${restrictedMetricSql(dateCondition(comparison.current))} AS ${current}, ` +
+      `${restrictedMetricSql(dateCondition(comparison.previous))} AS ${previous} FROM sales_data${whereSql}` +
+      `${dimension ? ` GROUP BY ${dimension.expression}` : ''}) AS periods` +
+      `${dimension ? ` ORDER BY ${current} ${entities.direction === 'asc' ? 'ASC' : 'DESC'}${entities.limit ? ` LIMIT ${param(entities.limit)}` : ''}` : ''}`;
+    explanation = `${metricTitle(entities.metric)}${dimension ? ` by ${dimensionKey}` : ''}, ` +
+      `${comparison.current.label} vs ${comparison.previous.label}${filterText}`;
+  } else if (dimension) {
+    const extraColumns = isProductListing ? `, ${metricSelect('rating')}` : '';
+    const limit = entities.limit || (isProductListing ? DEFAULT_RULE_LIMIT : null);
+    // Rankings by a metric with a minimum sample size skip groups with too few sales to be meaningful
+    if (limit && !dimension.time && metric.minSampleSize) having.push(`COUNT(*) >= ${metric.minSampleSize}`);
+    const havingSql = having.length > 0 ? ` HAVING ${having.join(' AND ')}` : '';
+    const selectDimension = dimension.expression === dimension.alias ? dimension.expression : `${dimension.expression} AS ${dimension.alias}`;
+    const orderSql = dimension.time ? dimension.alias : `${metricAlias} ${entities.direction === 'asc' ? 'ASC' : 'DESC'}`;
+    sql = `SELECT ${selectDimension}, ${metricSelect(entities.metric)}${extraColumns} FROM sales_data${whereSql} ` +
+      `GROUP BY ${dimension.expression}${havingSql} ORDER BY ${orderSql}${limit ? ` LIMIT ${param(limit)}` : ''}`;
+    explanation = `${metricTitle(entities.metric)} by ${dimensionKey}${filterText}${limit ? ` (${entities.direction === 'asc' ? 'bottom' : 'top'} ${limit})` : ''}`;
+  } else {
+    sql = `SELECT ${metricSelect(entities.metric)} FROM sales_data${whereSql}`;
+    explanation = `${metricTitle(entities.metric)}${filterText}`;
+  }
+  
+  // A pie can't show a comparison; grouped bars can
+  const chartType = (compared || comparison) && entities.chartType === 'pie' ? 'bar' : entities.chartType;
+  return { sql: sql, params: params, chartType: chartType, explanation: explanation };
+}
+
+// Process natural language questions and convert to SQL (rule-based fallback when the AI path fails)
+function processQuestion(question, preferences = {}) {
+  return buildEntityQuery(extractQuestionEntities(question, preferences));
+}
+
+// Format results for Slack display
+function formatResults(data, query, options = {}) {
+  if (!data || data.length === 0) {
+    return '📊 No results found for this query.';
+  }
+  
+  const q = query.toLowerCase();
+  
+  // Single value result - make it big and bold
+  if (data.length === 1 && Object.keys(data[0]).length === 1) {
     const key = Object.keys(data[0])[0];
     const value = data[0][key];
     const formattedKey = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
@@ -667,14 +2411,22 @@ function formatResults(data, query) {
   }
   
   // Multiple rows - format with Slack blocks for better UI
-  const headers = Object.keys(data[0]);
-  const displayData = data.slice(0, 10); // Show top 10
+  const layout = resolveResultsLayout(data, options.layout);
+  const pageSize = resultsPageSize(data, options.layout);
+  const page = options.page || 0;
+  const displayData = data.slice(page * pageSize, (page + 1) * pageSize); // Show one page (top 10 cards or 25 table rows by default)
   
   // Determine the type of data for appropriate emoji
   let emoji = '📊';
   let title = 'Query Results';
   
-  if (q.includes('product')) {
+  if (Object.keys(data[0]).some(isRatioColumn)) {
+    emoji = '⚖️';
+    title = 'Side-by-Side Comparison';
+  } else if (Object.keys(data[0]).some(isDeltaColumn)) {
+    emoji = '📈';
+    title = 'Period Comparison';
+  } else if (q.includes('product')) {
     emoji = '🛍️';
     title = 'Top Products';
   } else if (q.includes('category') || q.includes('categor')) {
@@ -705,40 +2457,59 @@ function formatResults(data, query) {
     }
   ];
   
-  // Add each row as a section
-  displayData.forEach((row, index) => {
-    let text = '';
-    
-    // Format each field in the row
-    Object.keys(row).forEach(key => {
-      const value = row[key];
-      const formattedKey = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-      const formattedValue = formatValue(value, key);
-      text += `*${formattedKey}:* ${formattedValue}\n`;
-    });
-    
+  // Compact layout: every row of the page in one aligned table
+  if (layout === 'table') {
+    blocks.pop(); // the table has its own header rule
     blocks.push({
       type: "section",
       text: {
         type: "mrkdwn",
-        text: text.trim()
+        text: formatResultsTable(displayData)
       }
     });
-    
-    // Add divider between rows (but not after last row)
-    if (index < displayData.length - 1) {
-      blocks.push({ type: "divider" });
-    }
-  });
+  } else {
+    // Card layout: add each row as a section
+    displayData.forEach((row, index) => {
+      let text = '';
+      
+      // Format each field in the row
+      Object.keys(row).forEach(key => {
+        const value = row[key];
+        const formattedKey = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        const formattedValue = formatValue(value, key);
+        text += `*${formattedKey}:* ${formattedValue}\n`;
+      });
+      
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: text.trim()
+        }
+      });
+      
+      // Add divider between rows (but not after last row)
+      if (index < displayData.length - 1) {
+        blocks.push({ type: "divider" });
+      }
+    });
+  }
   
-  // Add footer if there are more results
-  if (data.length > 10) {
+  // Add footer if there are more results or they were re-sorted
+  if (data.length > pageSize || options.sortKey) {
+    const first = page * pageSize + 1;
+    const last = page * pageSize + displayData.length;
+    const sortedBy = options.sortKey
+      ? ` · sorted by ${options.sortKey.replace(/_/g, ' ')} ${options.sortDir === 'asc' ? '↑' : '↓'}`
+      : '';
     blocks.push({
       type: "context",
       elements: [
         {
           type: "mrkdwn",
-          text: `_Showing top 10 of ${data.length} results_`
+          text: page === 0 && !options.sortKey
+            ? `_Showing top ${displayData.length} of ${data.length} results_`
+            : `_Showing ${first}–${last} of ${data.length} results${sortedBy}_`
         }
       ]
     });
@@ -747,6 +2518,81 @@ function formatResults(data, query) {
   return { blocks };
 }
 
+// Results layouts: a compact aligned table for many rows, one card per row for few rows or wide results
+const TABLE_PAGE_SIZE = 25;
+const TABLE_MAX_COLUMNS = 6;
+const CARDS_MAX_ROWS = 3;
+
+// Detect a layout override in the question ("as table", "as cards") → 'table' | 'cards' | null
+function detectResultsLayout(question) {
+  const q = question.toLowerCase();
+  if (/\b(as|in)\s+(a\s+)?table\b|\btable\s+(view|format|layout)\b/.test(q)) return 'table';
+  if (/\b(as|in)\s+cards?\b|\bcards?\s+(view|format|layout)\b/.test(q)) return 'cards';
+  return null;
+}
+
+// Pick the layout for a result set: the requested one, else table unless there are few rows or many columns
+function resolveResultsLayout(data, requestedLayout) {
+  if (requestedLayout) return requestedLayout;
+  if (data.length <= CARDS_MAX_ROWS || Object.keys(data[0]).length > TABLE_MAX_COLUMNS) return 'cards';
+  return 'table';
+}
+
+// Rows per page for a result set's layout
+function resultsPageSize(data, requestedLayout) {
+  return resolveResultsLayout(data, requestedLayout) === 'table' ? TABLE_PAGE_SIZE : RESULTS_PAGE_SIZE;
+}
+
+// Plain, alignable version of a value for the table layout (same field rules as formatValue, without emoji)
+function formatTableValue(value, key) {
+  if (isDeltaColumn(key)) return formatDelta(value, key);
+  if (isRatioColumn(key)) return formatRatio(value);
+  if (value === null || value === undefined) return '-';
+  
+  // Date fields
+  if (value instanceof Date) {
+    return value.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+  
+  const number = typeof value === 'number' ? value
+    : (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : null);
+  if (number !== null) {
+    // Revenue/money and rating fields always show 2 decimals
+    if (key.includes('revenue') || key.includes('price') || key.includes('rating')) {
+      return number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    return number.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  
+  // Keep code blocks intact and rows on one line
+  return String(value).replace(/`/g, "'").replace(/\s+/g, ' ');
+}
+
+// Render rows as a monospace, column-aligned table with right-aligned numbers and truncated long text
+function formatResultsTable(rows) {
+  const headers = Object.keys(rows[0]);
+  const maxWidth = headers.length > 4 ? 18 : 28;
+  const truncate = text => (text.length > maxWidth ? text.substring(0, maxWidth - 3) + '...' : text);
+  const isNumeric = value => typeof value === 'number' ||
+    (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+  
+  const numericColumns = headers.map(key =>
+    rows.some(row => row[key] !== null) && rows.every(row => row[key] === null || isNumeric(row[key]))
+  );
+  const titles = headers.map(key => truncate(key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())));
+  const cells = rows.map(row => headers.map(key => truncate(formatTableValue(row[key], key))));
+  const widths = headers.map((key, i) => Math.max(titles[i].length, ...cells.map(cell => cell[i].length)));
+  const pad = (text, i) => (numericColumns[i] ? text.padStart(widths[i]) : text.padEnd(widths[i]));
+  
+  const lines = [
+    titles.map(pad).join('  '),
+    widths.map(width => '─'.repeat(width)).join('  '),
+    ...cells.map(cell => cell.map(pad).join('  '))
+  ];
+  
+  return '```\n' + lines.map(line => line.trimEnd()).join('\n') + '\n```';
+}
+
 // Helper function to format numbers
 function formatNumber(value) {
   if (typeof value === 'number') {
@@ -759,8 +2605,39 @@ function formatNumber(value) {
   return value;
 }
 
+// Change columns of comparison results ("change", "change_pct", "revenue_change", "difference")
+function isDeltaColumn(key) {
+  return /(^|_)(change|delta|difference)(_pct)?$/.test(key);
+}
+
+// Ratio columns of side-by-side comparisons ("ratio", "revenue_ratio")
+function isRatioColumn(key) {
+  return /(^|_)ratio$/.test(key);
+}
+
+// Format a ratio as a multiple (e.g. "1.58×")
+function formatRatio(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return `${Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 })}×`;
+}
+
+// Format an absolute or percentage change with a ▲/▼ marker (e.g. "▲ +12.5%")
+function formatDelta(value, key) {
+  const isPercent = key.endsWith('_pct');
+  if (value === null || value === undefined) return isPercent ? 'n/a' : '-';
+  
+  const number = Number(value);
+  const decimals = isPercent
+    ? { maximumFractionDigits: 1 }
+    : { minimumFractionDigits: /\.\d/.test(String(value)) ? 2 : 0, maximumFractionDigits: 2 };
+  const marker = number > 0 ? '▲ +' : number < 0 ? '▼ -' : '• ';
+  return `${marker}${Math.abs(number).toLocaleString('en-US', decimals)}${isPercent ? '%' : ''}`;
+}
+
 // Helper function to format values based on field type
 function formatValue(value, key) {
+  if (isDeltaColumn(key)) return formatDelta(value, key);
+  if (isRatioColumn(key)) return formatRatio(value);
   if (value === null) return '_N/A_';
   
   // Revenue/money fields
@@ -775,7 +2652,7 @@ function formatValue(value, key) {
   }
   
   // Count/quantity fields
-  if (key.includes('count') || key.includes('quantity') || key.includes('sold')) {
+  if (key.includes('count') || key.includes('quantity') || key.includes('units') || key.includes('sold')) {
     return `${formatNumber(value)} ${key.includes('count') ? 'items' : 'units'}`;
   }
   
@@ -793,244 +2670,3057 @@ function formatValue(value, key) {
   return String(value);
 }
 
-// Handle app mentions (@bot)
-app.event('app_mention', async ({ event, client, say }) => {
-  try {
-    // Remove bot mention from message
-    const question = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
-    
-    if (!question) {
-      await say({
-        text: '👋 Hi! Ask me about the Amazon sales data! Try:\n• "What are the total sales?"\n• "Show me top products"\n• "Sales by category"\n• "Average rating"'
-      });
-      return;
-    }
-    
-    // Check if it's a greeting or casual conversation
-    const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'how are you', "what's up", 'sup', 'howdy'];
-    const isGreeting = greetings.some(g => question.toLowerCase().includes(g) && question.split(' ').length <= 5);
-    
-    if (isGreeting) {
-      await say({
-        text: '👋 Hello! I\'m your Sales Assistant. I can help you analyze Amazon sales data!\n\nTry asking me:\n• "What are the total sales?"\n• "Show me top products"\n• "Pie chart of sales by category"\n• "Which products have rating above 4.5?"\n• "Compare sales between USA and Canada"'
-      });
-      return;
-    }
-    
-    // Check if question is relevant to sales data
-    const isRelevant = await isQuestionRelevant(question);
-    
-    if (!isRelevant) {
-      await say({
-        text: "🤔 I'm specialized in analyzing Amazon sales data. I can't help with that question, but I'd love to help you with:\n\n📊 Sales Analysis:\n• Total sales and revenue\n• Top products and categories\n• Sales by country\n• Product ratings\n\n📈 Visualizations:\n• Charts and graphs\n• Sales comparisons\n• Performance metrics\n\nTry asking something like: \"What are the top selling products in electronics?\""
-      });
-      return;
-    }
-    
-    // Show thinking indicator
-    await client.chat.postMessage({
-      channel: event.channel,
-      text: '🤔 Analyzing your question...'
-    });
-    
-    // Try AI processing first
-    let queryResult = await processQuestionWithAI(question);
-    
-    // Fallback to rule-based if AI fails
-    if (!queryResult) {
-      queryResult = processQuestion(question);
-    }
-    
-    if (!queryResult) {
-      await say({
-        text: "🤷 I'm not sure how to answer that. Try asking:\n• Total sales or revenue\n• Top products/categories\n• Sales by country\n• Average ratings\n• Recent sales\n\n💡 *Tip:* Add 'chart', 'graph', 'pie chart', or 'line chart' to visualize data!"
-      });
-      return;
-    }
-    
-    const sqlQuery = queryResult.sql || queryResult;
-    const chartType = queryResult.chartType;
-    
-    // Execute query
-    const results = await queryDatabase(sqlQuery);
-    
-    // Generate chart if requested
-    if (chartType && results.length > 1) {
-      const chartUrl = generateChartUrl(results, chartType, question);
-      
-      await say({
-        blocks: [
-          {
-            type: "image",
-            title: {
-              type: "plain_text",
-              text: "📊 Data Visualization"
-            },
-            image_url: chartUrl,
-            alt_text: "Chart visualization"
-          }
-        ],
-        text: "Chart generated"
-      });
-    }
-    
-    const formattedResults = formatResults(results, question);
-    
-    // Send formatted response
-    if (formattedResults.blocks) {
-      await say({
-        blocks: formattedResults.blocks,
-        text: 'Query results'
-      });
-    } else {
-      await say({
-        text: formattedResults
-      });
-    }
-    
-    // Generate and send AI summary
-    const summary = await generateResultSummary(results, question);
-    if (summary) {
-      await say({
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `💡 *Key Insights:*\n${summary}`
-            }
-          }
-        ],
-        text: `Key Insights: ${summary}`
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error processing mention:', error);
-    await say({
-      text: `❌ Oops! Something went wrong: ${error.message}`
-    });
+// Per-thread conversation state so follow-ups can refine earlier questions
+const CONVERSATION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CONVERSATION_TURNS = 5;
+const conversations = new Map();
+
+// Get the conversation for a thread (null if there is none or it expired)
+function getConversation(channel, threadTs) {
+  const key = `${channel}:${threadTs}`;
+  const conversation = conversations.get(key);
+  
+  if (!conversation) return null;
+  if (Date.now() - conversation.updatedAt > CONVERSATION_TTL_MS) {
+    conversations.delete(key);
+    return null;
   }
-});
+  return conversation;
+}
 
-// Handle direct messages
-app.message(async ({ message, say }) => {
-  // Ignore bot messages and threaded messages
-  if (message.subtype || message.bot_id || message.thread_ts) return;
+// Record an answered question (with its SQL and result shape) in the thread's conversation
+function recordConversationTurn(channel, threadTs, turn) {
+  const key = `${channel}:${threadTs}`;
+  const conversation = getConversation(channel, threadTs) || { turns: [] };
   
-  try {
-    const question = message.text.trim();
-    
-    if (!question) return;
-    
-    // Check if it's a greeting or casual conversation
-    const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'how are you', "what's up", 'sup', 'howdy'];
-    const isGreeting = greetings.some(g => question.toLowerCase().includes(g) && question.split(' ').length <= 5);
-    
-    if (isGreeting) {
-      await say('👋 Hello! I\'m your Sales Assistant. I can help you analyze Amazon sales data!\n\nTry asking:\n• "What are the total sales?"\n• "Show me top products"\n• "Pie chart of sales by category"\n• "Which products have rating above 4.5?"');
-      return;
-    }
-    
-    // Check if question is relevant to sales data
-    const isRelevant = await isQuestionRelevant(question);
-    
-    if (!isRelevant) {
-      await say("🤔 I'm specialized in analyzing Amazon sales data. I can't help with that question, but I'd love to help you with:\n\n📊 Sales Analysis:\n• Total sales and revenue\n• Top products and categories\n• Sales by country\n• Product ratings\n\n📈 Visualizations:\n• Charts and graphs\n• Sales comparisons\n\nTry asking: \"What are the top selling products in electronics?\"");
-      return;
-    }
-    
-    await say('🤔 Let me check that...');
-    
-    // Try AI processing first
-    let queryResult = await processQuestionWithAI(question);
-    
-    // Fallback to rule-based if AI fails
-    if (!queryResult) {
-      queryResult = processQuestion(question);
-    }
-    
-    if (!queryResult) {
-      await say("I'm not sure how to answer that. Try:\n• Total sales\n• Top products\n• Sales by country/category\n• Average ratings\n\n💡 *Tip:* Add 'chart' to visualize!");
-      return;
-    }
-    
-    const sqlQuery = queryResult.sql || queryResult;
-    const chartType = queryResult.chartType;
-    
-    const results = await queryDatabase(sqlQuery);
-    
-    // Generate chart if requested
-    if (chartType && results.length > 1) {
-      const chartUrl = generateChartUrl(results, chartType, question);
-      
-      await say({
-        blocks: [
-          {
-            type: "image",
-            title: {
-              type: "plain_text",
-              text: "📊 Data Visualization"
-            },
-            image_url: chartUrl,
-            alt_text: "Chart visualization"
-          }
-        ],
-        text: "Chart generated"
-      });
+  conversation.turns.push(turn);
+  if (conversation.turns.length > MAX_CONVERSATION_TURNS) {
+    conversation.turns.shift();
+  }
+  conversation.updatedAt = Date.now();
+  conversations.set(key, conversation);
+  
+  // Drop expired threads so the map doesn't grow forever
+  for (const [otherKey, other] of conversations) {
+    if (Date.now() - other.updatedAt > CONVERSATION_TTL_MS) {
+      conversations.delete(otherKey);
     }
+  }
+}
+
+// Rule-based follow-up handling when the AI is unavailable (re-chart the previous query)
+function processFollowUp(question, conversation) {
+  const q = question.toLowerCase();
+  const previous = conversation.turns[conversation.turns.length - 1];
+  
+  const isChartRequest = q.includes('chart') || q.includes('graph') ||
+                        q.includes('visualiz') || q.includes('pie') || q.includes('line') || q.includes('bar');
+  const refersToPrevious = /\b(that|this|it|those|these|same)\b/.test(q) || question.split(' ').length <= 5;
+  
+  if (isChartRequest && refersToPrevious) {
+    let chartType = 'bar';
+    if (q.includes('pie')) chartType = 'pie';
+    else if (q.includes('line')) chartType = 'line';
     
-    const formattedResults = formatResults(results, question);
-    
-    // Send formatted response
-    if (formattedResults.blocks) {
-      await say({
-        blocks: formattedResults.blocks,
-        text: 'Query results'
-      });
-    } else {
-      await say(formattedResults);
+    return { sql: previous.sql, chartType: chartType };
+  }
+  
+  return null;
+}
+
+// Answer cache: question → SQL, SQL → rows and rows → summary, so popular questions skip the LLM and the database.
+// The store is pluggable: 'memory' (default, per process) or 'postgres' (shared by every instance, survives restarts).
+const CACHE_STORE = (process.env.CACHE_STORE || 'memory').toLowerCase();
+const CACHE_QUESTION_TTL_MS = parseInt(process.env.CACHE_QUESTION_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const CACHE_RESULT_TTL_MS = parseInt(process.env.CACHE_RESULT_TTL_MS, 10) || 10 * 60 * 1000;
+const CACHE_SUMMARY_TTL_MS = parseInt(process.env.CACHE_SUMMARY_TTL_MS, 10) || 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const CACHE_INVALIDATE_CHANNEL = 'salesbot_data_loaded';   // NOTIFY this after loading new data
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// In-memory cache store: entries expire after their TTL, oldest are dropped once full
+function createMemoryCacheStore() {
+  const entries = new Map();
+  
+  return {
+    async init() {},
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt };
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: value, storedAt: new Date(), expiresAt: Date.now() + ttlMs });
+      while (entries.size > CACHE_MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async clear(prefix) {
+      [...entries.keys()].filter(key => key.startsWith(prefix)).forEach(key => entries.delete(key));
     }
-    
-    // Generate and send AI summary
-    const summary = await generateResultSummary(results, question);
-    if (summary) {
-      await say({
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `💡 *Key Insights:*\n${summary}`
-            }
-          }
-        ],
-        text: `Key Insights: ${summary}`
-      });
+  };
+}
+
+// PostgreSQL cache store: rows are kept as JSON (dates are revived on read)
+function createPostgresCacheStore() {
+  return {
+    async init() {
+      try {
+        await pool.query(`
+          CREATE TABLE IF NOT EXISTS answer_cache (
+            key VARCHAR(200) PRIMARY KEY,
+            value TEXT NOT NULL,
+            stored_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            expires_at TIMESTAMPTZ NOT NULL
+          )
+        `);
+        await pool.query('DELETE FROM answer_cache WHERE expires_at <= NOW()');
+      } catch (error) {
+        console.error('❌ Could not set up answer cache store:', error.message);
+      }
+    },
+    async get(key) {
+      const result = await pool.query(
+        'SELECT value, stored_at FROM answer_cache WHERE key = $1 AND expires_at > NOW()',
+        [key]
+      );
+      if (result.rows.length === 0) return null;
+      const value = JSON.parse(result.rows[0].value, (k, v) => (typeof v === 'string' && ISO_DATE_PATTERN.test(v) ? new Date(v) : v));
+      return { value: value, storedAt: result.rows[0].stored_at };
+    },
+    async set(key, value, ttlMs) {
+      await pool.query(
+        `INSERT INTO answer_cache (key, value, stored_at, expires_at)
+         VALUES ($1, $2, NOW(), NOW() + $3 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, stored_at = EXCLUDED.stored_at, expires_at = EXCLUDED.expires_at`,
+        [key, JSON.stringify(value), ttlMs]
+      );
+    },
+    async clear(prefix) {
+      await pool.query("DELETE FROM answer_cache WHERE key LIKE $1 || '%'", [prefix]);
     }
-    
+  };
+}
+
+const cacheStore = CACHE_STORE === 'postgres' ? createPostgresCacheStore() : createMemoryCacheStore();
+
+// Read from the cache ({ value, storedAt } or null); a broken store never breaks an answer
+async function cacheGet(key) {
+  try {
+    return await cacheStore.get(key);
   } catch (error) {
-    console.error('Error processing message:', error);
-    await say(`❌ Error: ${error.message}`);
+    console.error('Cache read failed:', error.message);
+    return null;
   }
-});
+}
 
-// Slash command for health check
-app.command('/salesbot-health', async ({ ack, respond }) => {
-  await ack();
-  
+// Write to the cache (skipped when the TTL is 0 or negative)
+async function cacheSet(key, value, ttlMs) {
+  if (ttlMs <= 0) return;
   try {
-    await pool.query('SELECT 1');
-    await respond('✅ Bot is healthy! Database connection active.');
+    await cacheStore.set(key, value, ttlMs);
   } catch (error) {
-    await respond(`❌ Database connection failed: ${error.message}`);
+    console.error('Cache write failed:', error.message);
   }
-});
+}
 
-// Start the app
-(async () => {
-  await testDatabaseConnection();
-  await app.start();
-  console.log('⚡️ Slack bot is running!');
-  console.log('💬 You can now message your bot in Slack!');
-})();
\ No newline at end of file
+// Drop cached entries: 'rows:' and 'summary:' after new data is loaded, or everything
+async function invalidateCache(prefixes = ['rows:', 'summary:']) {
+  for (const prefix of prefixes) {
+    await cacheStore.clear(prefix);
+  }
+  console.log(`♻️ Cache cleared (${prefixes.join(', ')})`);
+}
+
+// Cache key for a value: a prefix plus a hash of its normalized parts
+function cacheKey(prefix, ...parts) {
+  return prefix + crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+}
+
+// Question → SQL cache key: a preferred metric can change what an ambiguous question means, so it's part of the key
+function questionCacheKey(question, preferredMetric = null) {
+  return cacheKey('question:', normalizeQuestion(question), preferredMetric || '');
+}
+
+// Normalize a question for the question → SQL cache ("Sales by category?" = "sales by  category")
+function normalizeQuestion(question) {
+  return String(question).toLowerCase().replace(/[^a-z0-9%]+/g, ' ').trim();
+}
+
+// Normalize SQL for the SQL → rows cache: collapse whitespace and case outside quoted literals and identifiers
+function normalizeSql(sql) {
+  return String(sql).trim().replace(/;+\s*$/, '')
+    .split(/('(?:[^']|'')*'|"(?:[^"]|"")*")/)
+    .map((part, index) => (index % 2 === 1 ? part : part.toLowerCase().replace(/\s+/g, ' ')))
+    .join('');
+}
+
+// Run a query through the rows cache (rows are cached per access scope, so restricted users never share entries)
+async function cachedQueryDatabase(sql, access, params = []) {
+  const key = cacheKey('rows:', normalizeSql(sql), JSON.stringify(params), JSON.stringify(access && !access.unrestricted ? access.grants : 'all'));
+  const cached = await cacheGet(key);
+  if (cached) {
+    // Entries cached before results said whether they were capped are plain row arrays
+    const { rows, truncated } = Array.isArray(cached.value) ? { rows: cached.value, truncated: false } : cached.value;
+    return { rows: rows, truncated: truncated, cachedAt: new Date(cached.storedAt), key: key };
+  }
+  
+  const result = await queryDatabase(sql, { access, params });
+  await cacheSet(key, result, CACHE_RESULT_TTL_MS);
+  return { rows: result.rows, truncated: result.truncated, cachedAt: null, key: key };
+}
+
+// Describe how long ago something was cached (e.g. "cached 3 min ago")
+function formatCacheAge(cachedAt) {
+  const minutes = Math.floor((Date.now() - cachedAt.getTime()) / 60000);
+  if (minutes < 1) return 'cached less than a minute ago';
+  if (minutes < 60) return `cached ${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  return `cached ${hours} h ago`;
+}
+
+// Listen for NOTIFY salesbot_data_loaded (sent by the data loader) and drop stale rows and summaries
+async function listenForDataLoads() {
+  try {
+    const client = await pool.connect();
+    client.on('notification', () => {
+      invalidateCache().catch(error => console.error('Cache invalidation failed:', error.message));
+    });
+    client.on('error', (error) => {
+      console.error('Cache invalidation listener lost its connection:', error.message);
+      client.release(true);
+      setTimeout(listenForDataLoads, 30 * 1000);
+    });
+    await client.query(`LISTEN ${CACHE_INVALIDATE_CHANNEL}`);
+  } catch (error) {
+    console.error('Could not listen for data loads:', error.message);
+  }
+}
+
+// Clarifying questions: when a question has several readings ("top products" by revenue, units or rating)
+// the bot asks with buttons instead of guessing, and remembers each user's pick as a preference.
+const MAX_CLARIFICATION_OPTIONS = 5;
+
+// Create the user preferences table if it doesn't exist yet
+async function ensurePreferenceStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id VARCHAR(50) NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, name)
+      )
+    `);
+    console.log('✅ Preference store ready');
+  } catch (error) {
+    console.error('❌ Could not set up preference store:', error.message);
+  }
+}
+
+// A user's saved preferences as { name: value } (empty if there are none or they can't be read)
+async function getUserPreferences(userId) {
+  if (!userId) return {};
+  
+  try {
+    const result = await pool.query('SELECT name, value FROM user_preferences WHERE user_id = $1', [userId]);
+    const preferences = Object.fromEntries(result.rows.map(row => [row.name, row.value]));
+    // A preferred metric the catalog no longer has is ignored
+    if (preferences.metric && !semanticLayer.metrics[preferences.metric]) delete preferences.metric;
+    return preferences;
+  } catch (error) {
+    console.error('Could not load user preferences:', error.message);
+    return {};
+  }
+}
+
+// Save (or replace) one of a user's preferences
+async function saveUserPreference(userId, name, value) {
+  try {
+    await pool.query(
+      `INSERT INTO user_preferences (user_id, name, value) VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, name) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+      [userId, name, value]
+    );
+  } catch (error) {
+    console.error('Could not save user preference:', error.message);
+  }
+}
+
+// Check a clarification from the model: 2-5 options, each a label and the question rewritten for that reading
+function normalizeClarification(raw) {
+  const options = (raw && Array.isArray(raw.options) ? raw.options : [])
+    .filter(option => option && option.label && option.question)
+    .slice(0, MAX_CLARIFICATION_OPTIONS)
+    .map(option => ({
+      label: String(option.label).slice(0, 75),
+      question: String(option.question).slice(0, 500),
+      metric: semanticLayer.metrics[option.metric] ? option.metric : null
+    }));
+  return options.length >= 2 ? { question: String(raw.question || 'Which did you mean?'), options: options } : null;
+}
+
+// Rule-based clarification: a ranking that doesn't name its measure ("top products") offers the catalog's
+// ranking metrics (null when the metric is named, the user has a preferred one, or it isn't a ranking)
+function findRuleClarification(question, preferences = {}) {
+  const entities = extractQuestionEntities(question, preferences);
+  const dimension = entities.dimension ? semanticLayer.dimensions[entities.dimension] : null;
+  const isRanking = Boolean(entities.limit && dimension && !dimension.time) && !entities.compared && !entities.comparison &&
+    !entities.countDistinct && !entities.listRecent;
+  const choices = semanticLayer.clarifyRankingBy;
+  if (!isRanking || entities.metricExplicit || preferences.metric || choices.length < 2) return null;
+  
+  const base = question.trim().replace(/[?.!]+$/, '');
+  return {
+    question: `"${base}" by which measure?`,
+    options: choices.map(key => ({
+      label: `By ${semanticLayer.metrics[key].label}`,
+      question: `${base} by ${semanticLayer.metrics[key].label}`,
+      metric: key
+    }))
+  };
+}
+
+// The clarifying question with one button per reading
+function buildClarificationMessage(clarification) {
+  const remembers = clarification.options.some(option => option.metric);
+  return {
+    text: `🤔 ${clarification.question}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🤔 *${clarification.question}*`
+        }
+      },
+      {
+        type: "actions",
+        elements: clarification.options.map((option, index) => ({
+          type: "button",
+          text: { type: "plain_text", text: option.label },
+          action_id: `clarify_option_${index}`,
+          value: JSON.stringify(option)
+        }))
+      },
+      ...(remembers ? [{
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "I'll remember your pick for next time — name a measure in the question to override it."
+          }
+        ]
+      }] : [])
+    ]
+  };
+}
+
+// Run the question → SQL → results → summary pipeline, replying in the given thread (or top-level without one).
+// A pinned query (e.g. from a subscription) skips SQL generation and runs as-is.
+// Every query runs under the access of the user it's answered for (and the channel it's posted in), unless
+// the caller already resolved it (subscriptions, which also limit it to the channel they were created in).
+// Ephemeral answers (/salesbot) are only shown to that user, and end with a "Share to channel" button.
+async function answerQuestion({ question, channel, threadTs = null, client, userId = null, pinnedQuery = null, ephemeral = false, access: resolvedAccess = null }) {
+  const reply = (message) => {
+    const payload = {
+      channel: channel,
+      ...(typeof message === 'string' ? { text: message } : message),
+      ...(threadTs ? { thread_ts: threadTs } : {})
+    };
+    return ephemeral ? client.chat.postEphemeral({ ...payload, user: userId }) : client.chat.postMessage(payload);
+  };
+  const access = resolvedAccess || await resolveAccess({ client, userId, channel });
+  if (!access.unrestricted && access.grants.length === 0) {
+    throw new AccessDeniedError("You don't have access to any sales data.");
+  }
+  
+  const conversation = threadTs ? getConversation(channel, threadTs) : null;
+  const preferences = pinnedQuery ? {} : await getUserPreferences(userId);
+  let queryResult = pinnedQuery;
+  let isExampleCandidate = false;
+  
+  // Standalone questions asked before reuse their SQL (follow-ups depend on their thread; a preferred
+  // metric can change what an ambiguous question means)
+  const questionKey = !pinnedQuery && !conversation
+    ? questionCacheKey(question, preferences.metric)
+    : null;
+  if (questionKey) {
+    const cached = await cacheGet(questionKey);
+    if (cached) queryResult = cached.value;
+  }
+  
+  // Over a rate limit or token budget, skip the LLM (SQL and summary) and say why
+  const usageContext = { userId, channel };
+  const llmAllowance = await checkLlmAllowance(usageContext);
+  
+  if (!queryResult) {
+    // Show thinking indicator
+    await reply(conversation ? '🤔 Refining the previous answer...' : '🤔 Analyzing your question...');
+    
+    if (llmAllowance.allowed) {
+      // Try AI processing first (with the thread's earlier questions as context)
+      countAiQuestion(usageContext);
+      queryResult = await processQuestionWithAI(question, conversation, usageContext, preferences);
+      
+      // Only standalone AI answers become few-shot examples (follow-ups depend on their thread)
+      isExampleCandidate = Boolean(queryResult) && !queryResult.clarification && !conversation;
+    } else {
+      await reply(`⏳ ${llmAllowance.reason}, so I'm answering with my built-in rules instead — they handle everyday questions like totals, top 5 products, or clothing sales in Canada with rating above 4.`);
+    }
+    
+    // Fallback to rule-based if AI fails
+    if (!queryResult && conversation) {
+      queryResult = processFollowUp(question, conversation);
+    }
+    if (!queryResult) {
+      const clarification = findRuleClarification(question, preferences);
+      queryResult = clarification ? { clarification: clarification } : processQuestion(question, preferences);
+    }
+  }
+  
+  // Ambiguous questions are answered once the user picks a reading
+  if (queryResult && queryResult.clarification) {
+    await reply(buildClarificationMessage(queryResult.clarification));
+    return;
+  }
+  
+  if (!queryResult) {
+    await reply("🤷 I'm not sure how to answer that. Try asking:\n• Total sales or revenue\n• Top products/categories\n• Sales by country\n• Average ratings\n• Recent sales\n\n💡 *Tip:* Add 'chart', 'graph', 'pie chart', or 'line chart' to visualize data!");
+    return;
+  }
+  
+  const queryParams = queryResult.params || [];
+  const chartType = queryResult.chartType;
+  
+  // Rule-based answers run with bound parameters; showing, editing, exporting and follow-ups get them inlined
+  const sqlQuery = inlineSqlParams(queryResult.sql || queryResult, queryParams);
+  const exportFormat = detectExportFormat(question);
+  
+  // Execute query (through the rows cache), recording the real outcome for AI-generated SQL
+  let results;
+  let resultsTruncated = false;
+  let resultsCachedAt = null;
+  let resultsKey;
+  let exampleId = null;
+  try {
+    ({ rows: results, truncated: resultsTruncated, cachedAt: resultsCachedAt, key: resultsKey } = await cachedQueryDatabase(queryResult.sql || queryResult, access, queryParams));
+  } catch (error) {
+    if (isExampleCandidate) {
+      await recordQueryExample({ question, sql: sqlQuery, chartType, executedOk: false, errorMessage: error.message });
+    }
+    throw error;
+  }
+  if (isExampleCandidate) {
+    exampleId = await recordQueryExample({ question, sql: sqlQuery, chartType, executedOk: true, rowCount: results.length });
+    await cacheSet(questionKey, { sql: sqlQuery, chartType: chartType || null, explanation: queryResult.explanation || null }, CACHE_QUESTION_TTL_MS);
+  }
+  
+  // Remember this turn so follow-ups in the thread can build on it
+  if (threadTs) {
+    recordConversationTurn(channel, threadTs, {
+      question: question,
+      sql: sqlQuery,
+      chartType: chartType || null,
+      explanation: queryResult.explanation || null,
+      columns: results.length > 0 ? Object.keys(results[0]) : [],
+      rowCount: results.length
+    });
+  }
+  
+  // Generate chart if requested (uploaded charts would be public, so ephemeral answers only show QuickChart images)
+  const hasChart = Boolean(chartType) && comparisonChartData(results).length > 1;
+  if (hasChart && !ephemeral) {
+    await postChart({ client, channel, threadTs, data: results, chartType, question });
+  } else if (hasChart && CHART_RENDERER === 'quickchart') {
+    await reply({ blocks: [buildChartImageBlock(results, chartType, question)], text: "Chart generated" });
+  }
+  
+  // Send formatted response (the result set is cached so it can be paged and sorted in place)
+  const resultsView = {
+    data: results,
+    question: question,
+    sql: sqlQuery,
+    chartType: chartType || null,
+    explanation: queryResult.explanation || null,
+    page: 0,
+    sortKey: null,
+    sortDir: 'desc',
+    layout: detectResultsLayout(question),
+    accessNote: buildAccessNote(question, access),
+    resultsCachedAt: resultsCachedAt,
+    truncated: resultsTruncated,
+    exportable: !exportFormat,
+    // Nobody else can react to an ephemeral answer, so only public ones ask for feedback
+    askForFeedback: Boolean(exampleId) && !ephemeral,
+    shareable: ephemeral,
+    chartOnShare: hasChart && ephemeral && CHART_RENDERER !== 'quickchart'
+  };
+  const answerMessage = await reply(buildResultsMessage(resultsView));
+  const answerTs = answerMessage && (answerMessage.ts || answerMessage.message_ts);
+  if (userId && !pinnedQuery && !conversation) {
+    await recordQuestionHistory(userId, channel, question);
+  }
+  if (results.length > 1 && answerTs) {
+    cacheResultMessage(channel, answerTs, resultsView);
+  }
+  if (!ephemeral) {
+    await attachExampleMessage(exampleId, channel, answerTs);
+  }
+  
+  // Upload the full result set when the question asked for an export (to the user's DM for ephemeral answers)
+  if (exportFormat && results.length > 0) {
+    const exportChannel = ephemeral ? await openDirectMessage(client, userId) : channel;
+    await exportResults({ client, channel: exportChannel, threadTs, sql: sqlQuery, question, format: exportFormat, rows: results, access });
+    if (ephemeral) await reply(`📎 I've sent the ${exportFormat.toUpperCase()} file to our DM.`);
+  }
+  
+  // Generate and send AI summary (reused while the same question's rows are cached)
+  const summaryKey = cacheKey('summary:', normalizeQuestion(question), resultsKey);
+  const cachedSummary = await cacheGet(summaryKey);
+  let summary = cachedSummary ? cachedSummary.value : null;
+  if (!summary && llmAllowance.allowed) {
+    summary = await generateResultSummary(results, question, usageContext, resultsTruncated);
+  }
+  if (summary && !cachedSummary) {
+    await cacheSet(summaryKey, summary, CACHE_SUMMARY_TTL_MS);
+  }
+  if (summary) {
+    await reply({
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `💡 *Key Insights:*\n${summary}`
+          }
+        }
+      ],
+      text: `Key Insights: ${summary}`
+    });
+  }
+}
+
+// Result browsing: the full result set behind each results message, so paging and sorting can update it in place
+const RESULTS_PAGE_SIZE = 10;
+const RESULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_RESULTS = 500;
+const MAX_SORT_BUTTONS = 5;
+const cachedResults = new Map();
+
+// Remember the result set behind a results message
+function cacheResultMessage(channel, messageTs, view) {
+  cachedResults.set(`${channel}:${messageTs}`, { ...view, cachedAt: Date.now() });
+  
+  // Drop the oldest entries once the cache is full (Map keeps insertion order)
+  while (cachedResults.size > MAX_CACHED_RESULTS) {
+    cachedResults.delete(cachedResults.keys().next().value);
+  }
+}
+
+// Get the cached result set behind a results message (null if unknown or expired)
+function getCachedResultMessage(channel, messageTs) {
+  const key = `${channel}:${messageTs}`;
+  const view = cachedResults.get(key);
+  
+  if (!view) return null;
+  if (Date.now() - view.cachedAt > RESULT_CACHE_TTL_MS) {
+    cachedResults.delete(key);
+    return null;
+  }
+  return view;
+}
+
+// Sort rows by a column (numbers and dates by value, text alphabetically; nulls last)
+function sortResults(data, sortKey, sortDir) {
+  if (!sortKey) return data;
+  const direction = sortDir === 'asc' ? 1 : -1;
+  const comparable = value => {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+  };
+  
+  return [...data].sort((a, b) => {
+    const x = comparable(a[sortKey]);
+    const y = comparable(b[sortKey]);
+    if (x === null || x === undefined) return 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+    return String(x).localeCompare(String(y)) * direction;
+  });
+}
+
+// Previous / Next / Sort by <column> buttons for a results message
+function buildPaginationActions(view) {
+  const pageSize = resultsPageSize(view.data, view.layout);
+  const pageCount = Math.ceil(view.data.length / pageSize);
+  const elements = [];
+  
+  if (view.page > 0) {
+    elements.push({
+      type: "button",
+      text: { type: "plain_text", text: "◀️ Previous", emoji: true },
+      action_id: "results_page_prev",
+      value: String(view.page - 1)
+    });
+  }
+  if (view.page < pageCount - 1) {
+    const remaining = view.data.length - (view.page + 1) * pageSize;
+    elements.push({
+      type: "button",
+      text: { type: "plain_text", text: `Next ${Math.min(remaining, pageSize)} ▶️`, emoji: true },
+      action_id: "results_page_next",
+      value: String(view.page + 1)
+    });
+  }
+  
+  Object.keys(view.data[0]).slice(0, MAX_SORT_BUTTONS).forEach((key, index) => {
+    const isActive = view.sortKey === key;
+    const formattedKey = key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    elements.push({
+      type: "button",
+      text: { type: "plain_text", text: `Sort by ${formattedKey}${isActive ? (view.sortDir === 'asc' ? ' ↑' : ' ↓') : ''}`, emoji: true },
+      action_id: `results_sort_${index}`,
+      value: key
+    });
+  });
+  
+  return { type: "actions", elements: elements };
+}
+
+// Build the full results message (rows, paging/sorting, export buttons, feedback prompt) for a view
+function buildResultsMessage(view) {
+  const sorted = sortResults(view.data, view.sortKey, view.sortDir);
+  const formattedResults = formatResults(sorted, view.question, {
+    page: view.page,
+    sortKey: view.sortKey,
+    sortDir: view.sortDir,
+    layout: view.layout
+  });
+  
+  const queryActions = buildQueryActions(view);
+  
+  // Say when rows were filtered out by the user's access, cut off at the row cap or came from the cache
+  const notes = [
+    view.accessNote,
+    view.truncated ? `✂️ Showing the first ${view.data.length.toLocaleString('en-US')} rows — the query returned more${view.exportable ? ' (export it for the full result)' : ''}.` : null,
+    view.resultsCachedAt ? `♻️ (${formatCacheAge(view.resultsCachedAt)})` : null
+  ].filter(Boolean);
+  const notesContext = notes.length > 0 ? {
+    type: "context",
+    elements: notes.map(note => ({ type: "mrkdwn", text: note }))
+  } : null;
+  
+  if (!formattedResults.blocks) {
+    if (!queryActions && !notesContext && !view.shareable) return { text: formattedResults };
+    
+    // Keep Show SQL / Edit & rerun on empty answers — that's when a query most needs fixing
+    return {
+      blocks: [
+        {
+          type: "section",
+          text: { type: "mrkdwn", text: formattedResults }
+        },
+        notesContext,
+        queryActions,
+        ...(view.shareable ? buildShareBlocks(view) : [])
+      ].filter(Boolean),
+      text: formattedResults
+    };
+  }
+  
+  if (notesContext) {
+    formattedResults.blocks.push(notesContext);
+  }
+  
+  const isMultiRow = view.data.length > 1;
+  
+  // Browse and sort multi-row results in place
+  if (isMultiRow) {
+    formattedResults.blocks.push(buildPaginationActions(view));
+  }
+  
+  // Let users inspect or fix the SQL behind the answer
+  if (queryActions) {
+    formattedResults.blocks.push(queryActions);
+  }
+  
+  // Offer a full download of multi-row results
+  if (isMultiRow && view.exportable) {
+    const exportActions = buildExportActions(view.sql, view.question);
+    if (exportActions) formattedResults.blocks.push(exportActions);
+  }
+  
+  // Ephemeral answers can be posted for everyone
+  if (view.shareable) {
+    formattedResults.blocks.push(...buildShareBlocks(view));
+  }
+  
+  // Ask for 👍/👎 on AI answers so good queries can be reused as examples
+  if (view.askForFeedback) {
+    formattedResults.blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "React with 👍 if this answer is right or 👎 if it's wrong — it helps me learn."
+        }
+      ]
+    });
+  }
+  
+  return { blocks: formattedResults.blocks, text: 'Query results' };
+}
+
+// Re-render a results message after a paging/sorting button was pressed
+async function updateResultsView({ ack, body, client, respond }, changes) {
+  await ack();
+  
+  const { channel, messageTs, ephemeral } = actionMessageContext(body);
+  const view = getCachedResultMessage(channel, messageTs);
+  
+  if (!view) {
+    await client.chat.postEphemeral({
+      channel: channel,
+      user: body.user.id,
+      text: '⌛ These results are no longer cached. Ask the question again to browse them.'
+    });
+    return;
+  }
+  
+  Object.assign(view, changes(view));
+  
+  // Ephemeral messages can only be replaced through the action's response URL
+  if (ephemeral) {
+    await respond({ replace_original: true, ...buildResultsMessage(view) });
+    return;
+  }
+  await client.chat.update({
+    channel: channel,
+    ts: messageTs,
+    ...buildResultsMessage(view)
+  });
+}
+
+// Show SQL / Edit & rerun / Save buttons for an answer (omitted if the SQL doesn't fit in a button value)
+function buildQueryActions(view) {
+  const query = { sql: view.sql, question: view.question.slice(0, 200), chartType: view.chartType || null };
+  let value = JSON.stringify({ ...query, explanation: view.explanation || null });
+  
+  // Drop the explanation before giving up on long queries
+  if (value.length > 2000) value = JSON.stringify(query);
+  if (value.length > 2000) return null;
+  
+  return {
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: "🧾 Show SQL", emoji: true },
+        action_id: "show_sql",
+        value: value
+      },
+      {
+        type: "button",
+        text: { type: "plain_text", text: "✏️ Edit & rerun", emoji: true },
+        action_id: "edit_sql",
+        value: value
+      },
+      {
+        type: "button",
+        text: { type: "plain_text", text: "💾 Save", emoji: true },
+        action_id: "save_query",
+        value: value
+      }
+    ]
+  };
+}
+
+// "Share to channel" button for an ephemeral answer: reposts it publicly with the same SQL
+// (or asks the question again when the SQL doesn't fit in a button value)
+function buildShareBlocks(view) {
+  let value = JSON.stringify({ sql: view.sql, question: view.question.slice(0, 500), chartType: view.chartType || null, explanation: view.explanation || null });
+  if (value.length > 2000) value = JSON.stringify({ question: view.question.slice(0, 500), chartType: view.chartType || null });
+  
+  const blocks = [
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: "📣 Share to channel", emoji: true },
+          action_id: "share_answer",
+          style: "primary",
+          value: value
+        }
+      ]
+    }
+  ];
+  if (view.chartOnShare) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "📊 The chart is posted when you share this answer."
+        }
+      ]
+    });
+  }
+  return blocks;
+}
+
+// Modal for editing the SQL behind an answer and running it again in the same thread
+function buildEditSqlModal({ sql, question, chartType, channel, threadTs, ephemeral }) {
+  return {
+    type: "modal",
+    callback_id: "edit_sql_modal",
+    private_metadata: JSON.stringify({ channel, threadTs, question, chartType, ephemeral }),
+    title: { type: "plain_text", text: "Edit & rerun" },
+    submit: { type: "plain_text", text: "Run" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `*Question:* ${question}`
+          }
+        ]
+      },
+      {
+        type: "input",
+        block_id: "sql_input",
+        label: { type: "plain_text", text: "SQL" },
+        hint: { type: "plain_text", text: "Only a single read-only SELECT over the sales data will run." },
+        element: {
+          type: "plain_text_input",
+          action_id: "sql",
+          multiline: true,
+          initial_value: sql.slice(0, 3000)
+        }
+      }
+    ]
+  };
+}
+
+// Export settings for full result downloads
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 50000;
+
+// Detect an export request in the question ("export", "as csv", "as excel") → 'csv' | 'xlsx' | null
+function detectExportFormat(question) {
+  const q = question.toLowerCase();
+  if (/\b(excel|xlsx|spreadsheet)\b/.test(q)) return 'xlsx';
+  if (/\bcsv\b/.test(q) || /\b(export|download)\b/.test(q)) return 'csv';
+  return null;
+}
+
+// Spreadsheet-friendly value using the same field rules as formatValue (dates, money, ratings)
+function exportValue(value, key) {
+  if (value === null || value === undefined) return null;
+  
+  // Date fields
+  if (value instanceof Date) {
+    return key.includes('date') ? value.toISOString().slice(0, 10) : value.toISOString();
+  }
+  
+  // Revenue/money fields and rating fields → 2 decimals
+  if ((key.includes('revenue') || key.includes('price') || key.includes('rating')) && !isNaN(Number(value))) {
+    return Number(Number(value).toFixed(2));
+  }
+  
+  // Other numeric strings (Postgres returns NUMERIC/BIGINT as strings)
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  
+  return value;
+}
+
+// Build a CSV file from result rows
+function buildCsv(data) {
+  const headers = Object.keys(data[0]);
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  
+  const lines = [headers.map(escape).join(',')];
+  data.forEach(row => {
+    lines.push(headers.map(key => escape(exportValue(row[key], key))).join(','));
+  });
+  
+  return Buffer.from(lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+// Build an XLSX workbook from result rows, with number formats matching formatValue
+async function buildXlsx(data, question) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Results');
+  const headers = Object.keys(data[0]);
+  
+  sheet.columns = headers.map(key => {
+    let numFmt;
+    if (key.includes('revenue') || key.includes('price')) numFmt = '#,##0.00';
+    else if (key.includes('rating')) numFmt = '0.00';
+    else if (key.includes('count') || key.includes('quantity') || key.includes('units') || key.includes('sold')) numFmt = '#,##0';
+    else if (key.includes('date')) numFmt = 'mmm d, yyyy';
+    
+    return {
+      header: key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+      key: key,
+      width: Math.min(Math.max(key.length + 4, 12), 40),
+      style: numFmt ? { numFmt } : {}
+    };
+  });
+  
+  data.forEach(row => {
+    const values = {};
+    headers.forEach(key => {
+      // Keep real dates so Excel can sort and pivot on them
+      values[key] = row[key] instanceof Date ? row[key] : exportValue(row[key], key);
+    });
+    sheet.addRow(values);
+  });
+  
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  workbook.title = question;
+  
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// File name for an export, e.g. "top-products-in-electronics-2025-01-31.csv"
+function exportFileName(question, format) {
+  const slug = question.toLowerCase()
+    .replace(/\b(export|download|as|to|in)\s+(csv|excel|xlsx|spreadsheet)\b/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'query-results';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+// Upload the complete result of a query as a CSV or XLSX file to the channel/thread
+async function exportResults({ client, channel, threadTs, sql, question, format, rows, access }) {
+  // Re-run without the display row cap unless we already have everything
+  const { rows: data, truncated } = rows && rows.length < MAX_RESULT_ROWS
+    ? { rows: rows, truncated: false }
+    : await queryDatabase(sql, { maxRows: EXPORT_MAX_ROWS, access });
+  
+  if (data.length === 0) {
+    await client.chat.postMessage({
+      channel: channel,
+      ...(threadTs ? { thread_ts: threadTs } : {}),
+      text: '📭 Nothing to export — the query returned no rows.'
+    });
+    return;
+  }
+  
+  const file = format === 'xlsx' ? await buildXlsx(data, question) : buildCsv(data);
+  
+  await client.files.uploadV2({
+    channel_id: channel,
+    ...(threadTs ? { thread_ts: threadTs } : {}),
+    file: file,
+    filename: exportFileName(question, format),
+    title: `Export: ${question}`,
+    initial_comment: `📎 Full results (${data.length.toLocaleString('en-US')} rows) as ${format.toUpperCase()}${truncated ? ` — only the first ${EXPORT_MAX_ROWS.toLocaleString('en-US')} rows, the query returned more` : ''}`
+  });
+}
+
+// Export buttons for a results message (omitted if the SQL doesn't fit in a button value)
+function buildExportActions(sql, question) {
+  const value = JSON.stringify({ sql: sql, question: question.slice(0, 200) });
+  if (value.length > 2000) return null;
+  
+  return {
+    type: "actions",
+    elements: [
+      {
+        type: "button",
+        text: { type: "plain_text", text: "⬇️ Export CSV", emoji: true },
+        action_id: "export_results_csv",
+        value: value
+      },
+      {
+        type: "button",
+        text: { type: "plain_text", text: "⬇️ Export Excel", emoji: true },
+        action_id: "export_results_xlsx",
+        value: value
+      }
+    ]
+  };
+}
+
+// Scheduled report subscriptions (/salesbot-subscribe)
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC';
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Create the subscriptions table if it doesn't exist yet
+async function ensureSubscriptionStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS report_subscriptions (
+        id SERIAL PRIMARY KEY,
+        channel_id VARCHAR(50) NOT NULL,
+        source_channel_id VARCHAR(50),
+        question TEXT NOT NULL,
+        sql TEXT NOT NULL,
+        chart_type VARCHAR(20),
+        schedule JSONB NOT NULL,
+        timezone VARCHAR(64) NOT NULL,
+        created_by VARCHAR(50) NOT NULL,
+        paused BOOLEAN NOT NULL DEFAULT false,
+        next_run_at TIMESTAMPTZ NOT NULL,
+        last_run_at TIMESTAMPTZ,
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      ALTER TABLE report_subscriptions ADD COLUMN IF NOT EXISTS source_channel_id VARCHAR(50);
+    `);
+    console.log('✅ Subscription store ready');
+  } catch (error) {
+    console.error('❌ Could not set up subscription store:', error.message);
+  }
+}
+
+// Offset of a time zone from UTC at a given moment, in milliseconds
+function timeZoneOffsetMs(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in a time zone to a UTC Date (month is 0-based)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const offset = timeZoneOffsetMs(new Date(guess), timeZone);
+  const adjusted = timeZoneOffsetMs(new Date(guess - offset), timeZone);
+  return new Date(guess - adjusted);
+}
+
+// Check that a time zone name is usable
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse "every Monday 9am", "daily at 18:30", "every weekday at 8am", "monthly on the 1st" into a schedule
+function parseSchedule(text) {
+  const t = text.toLowerCase();
+  
+  // Time of day (needs am/pm or hh:mm so day numbers aren't mistaken for hours)
+  let hour = 9;
+  let minute = 0;
+  let meridiem = null;
+  const clockMatch = t.match(/\b(\d{1,2}):(\d{2})\s*(am|pm)?\b/);
+  const hourMatch = t.match(/\b(\d{1,2})\s*(am|pm)\b/);
+  if (clockMatch) {
+    hour = Number(clockMatch[1]);
+    minute = Number(clockMatch[2]);
+    meridiem = clockMatch[3] || null;
+  } else if (hourMatch) {
+    hour = Number(hourMatch[1]);
+    meridiem = hourMatch[2];
+  } else if (/\bnoon\b/.test(t)) {
+    hour = 12;
+  }
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  
+  if (/\b(daily|every day|each day)\b/.test(t)) {
+    return { frequency: 'daily', hour, minute };
+  }
+  if (/\bweekdays?\b/.test(t)) {
+    return { frequency: 'weekly', days: [1, 2, 3, 4, 5], hour, minute };
+  }
+  
+  const days = WEEKDAY_NAMES
+    .map((name, index) => (new RegExp(`\\b${name.slice(0, 3)}(${name.slice(3)}|s)?\\b`).test(t) ? index : -1))
+    .filter(index => index >= 0);
+  if (days.length > 0) {
+    return { frequency: 'weekly', days, hour, minute };
+  }
+  
+  if (/\b(monthly|every month|each month)\b/.test(t)) {
+    const dayMatch = t.match(/\bon the (\d{1,2})(st|nd|rd|th)?\b/);
+    const dayOfMonth = dayMatch ? Number(dayMatch[1]) : 1;
+    if (dayOfMonth < 1 || dayOfMonth > 28) return null;
+    return { frequency: 'monthly', dayOfMonth, hour, minute };
+  }
+  
+  return null;
+}
+
+// Human-readable schedule, e.g. "every Monday at 9:00 AM"
+function describeSchedule(schedule) {
+  const time = new Date(Date.UTC(2000, 0, 1, schedule.hour, schedule.minute))
+    .toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+  const capitalize = name => name.charAt(0).toUpperCase() + name.slice(1);
+  
+  if (schedule.frequency === 'daily') return `every day at ${time}`;
+  if (schedule.frequency === 'monthly') return `monthly on day ${schedule.dayOfMonth} at ${time}`;
+  if (schedule.days.join() === '1,2,3,4,5') return `every weekday at ${time}`;
+  return `every ${schedule.days.map(d => capitalize(WEEKDAY_NAMES[d])).join(', ')} at ${time}`;
+}
+
+// Next time a schedule fires after `from`, in the subscription's time zone
+function nextRunAt(schedule, timeZone, from = new Date()) {
+  const local = new Date(from.getTime() + timeZoneOffsetMs(from, timeZone));
+  
+  for (let i = 0; i <= 62; i++) {
+    const day = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + i));
+    const matches =
+      schedule.frequency === 'daily' ||
+      (schedule.frequency === 'weekly' && schedule.days.includes(day.getUTCDay())) ||
+      (schedule.frequency === 'monthly' && day.getUTCDate() === schedule.dayOfMonth);
+    if (!matches) continue;
+    
+    const candidate = zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), schedule.hour, schedule.minute, timeZone);
+    if (candidate > from) return candidate;
+  }
+  
+  throw new Error('Could not compute the next run for this schedule');
+}
+
+// Format a run time for Slack in the subscription's time zone
+function formatRunTime(date, timeZone) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  }) + ` (${timeZone})`;
+}
+
+// Resolve "<#C123|name>" or "#name" in command text to a channel id
+async function resolveChannelReference(client, text) {
+  const escaped = text.match(/<#(C[A-Z0-9]+)(?:\|[^>]*)?>/);
+  if (escaped) return escaped[1];
+  
+  const named = text.match(/(?:^|\s)#([a-z0-9_-]+)/i);
+  if (!named) return null;
+  
+  let cursor;
+  do {
+    const page = await client.conversations.list({ types: 'public_channel,private_channel', limit: 1000, cursor });
+    const channel = page.channels.find(c => c.name === named[1].toLowerCase());
+    if (channel) return channel.id;
+    cursor = page.response_metadata && page.response_metadata.next_cursor;
+  } while (cursor);
+  
+  throw new Error(`I couldn't find the channel #${named[1]}. Make sure it exists and I've been invited to it.`);
+}
+
+// Whether a user is a member of a channel (reports and alerts only post to channels their creator is in)
+async function isChannelMember(client, channelId, userId) {
+  let cursor;
+  do {
+    const page = await client.conversations.members({ channel: channelId, limit: 1000, cursor });
+    if (page.members.includes(userId)) return true;
+    cursor = page.response_metadata && page.response_metadata.next_cursor;
+  } while (cursor);
+  
+  return false;
+}
+
+// Parse `every Monday 9am post "revenue by category" with a bar chart to #sales-weekly`
+function parseSubscriptionRequest(text) {
+  const quoted = text.match(/["“']([^"”']+)["”']/);
+  let rest = quoted ? text.replace(quoted[0], ' ') : text;
+  
+  // Drop the channel reference so it isn't mistaken for part of the question
+  rest = rest.replace(/\b(to|in|into)?\s*(<#C[A-Z0-9]+(?:\|[^>]*)?>|#[a-z0-9_-]+)/i, ' ');
+  
+  const schedule = parseSchedule(rest);
+  
+  let chartType = null;
+  const chartMatch = rest.match(/\b(bar|pie|line)\s*(chart|graph)\b/i);
+  if (chartMatch) chartType = chartMatch[1].toLowerCase();
+  else if (/\b(chart|graph)\b/i.test(rest)) chartType = 'bar';
+  
+  let question = quoted ? quoted[1].trim() : null;
+  if (!question) {
+    // Without quotes, the question is what follows "post"/"send"/"run" up to the chart/schedule words
+    const unquoted = rest.match(/\b(?:post|send|run|report)\s+(.+?)(?:\s+with\s+an?\s+\w*\s*(?:chart|graph)|\s+every\b|\s+daily\b|\s+at\s+\d|$)/i);
+    question = unquoted ? unquoted[1].trim() : null;
+  }
+  
+  return { schedule, chartType, question };
+}
+
+// Usage text for /salesbot-subscribe
+const SUBSCRIBE_HELP = `📅 *Scheduled reports*
+• \`/salesbot-subscribe every Monday 9am post "revenue by category" with a bar chart to #sales-weekly\`
+• \`/salesbot-subscribe daily at 8:30am post "total sales"\` (posts to this channel)
+• \`/salesbot-subscribe list\`
+• \`/salesbot-subscribe pause <id>\` / \`resume <id>\` / \`delete <id>\`
+
+Schedules: \`daily\`, \`every weekday\`, \`every Monday and Thursday\`, \`monthly on the 1st\`, with an optional time like \`9am\` or \`18:30\` (in your Slack time zone).
+The SQL is generated once when you subscribe and pinned, so every run is comparable.`;
+
+// Create a subscription: generate and pin the SQL, then store the schedule
+async function createSubscription({ client, command, text }) {
+  const { schedule, chartType, question } = parseSubscriptionRequest(text);
+  
+  if (!schedule) {
+    return `🤔 I couldn't understand the schedule.\n\n${SUBSCRIBE_HELP}`;
+  }
+  if (!question) {
+    return `🤔 Tell me what to post, in quotes — e.g. \`"revenue by category"\`.\n\n${SUBSCRIBE_HELP}`;
+  }
+  
+  const channelId = (await resolveChannelReference(client, text)) || command.channel_id;
+  if (channelId !== command.channel_id && !(await isChannelMember(client, channelId, command.user_id))) {
+    return `🔒 You can only schedule reports into channels you're a member of — join <#${channelId}> first.`;
+  }
+  
+  // Generate the SQL now and pin it
+  const preferences = await getUserPreferences(command.user_id);
+  let queryResult = await processQuestionWithAI(question, null, { userId: command.user_id, channel: channelId }, preferences);
+  if (!queryResult) {
+    const clarification = findRuleClarification(question, preferences);
+    queryResult = clarification ? { clarification: clarification } : processQuestion(question, preferences);
+  }
+  if (!queryResult) {
+    return `🤷 I couldn't turn "${question}" into a query. Try rephrasing it the way you'd ask me in a channel.`;
+  }
+  if (queryResult.clarification) {
+    const readings = queryResult.clarification.options.map(option => `• \`"${option.question}"\``).join('\n');
+    return `🤔 ${queryResult.clarification.question} A report needs one reading — quote the one you mean:\n${readings}`;
+  }
+  const sql = validateSql(inlineSqlParams(queryResult.sql || queryResult, queryResult.params));
+  
+  // Make sure it actually runs before scheduling it, under the subscriber's access here limited to the target
+  // channel's (the same access every run gets)
+  await queryDatabase(sql, {
+    access: await resolvePostingAccess({ client, userId: command.user_id, sourceChannel: command.channel_id, targetChannel: channelId })
+  });
+  
+  let timeZone = DEFAULT_TIMEZONE;
+  try {
+    const userInfo = await client.users.info({ user: command.user_id });
+    if (userInfo.user && userInfo.user.tz && isValidTimeZone(userInfo.user.tz)) timeZone = userInfo.user.tz;
+  } catch (error) {
+    console.error('Could not look up user time zone:', error.message);
+  }
+  
+  const finalChartType = chartType || queryResult.chartType || null;
+  const nextRun = nextRunAt(schedule, timeZone);
+  const inserted = await pool.query(
+    `INSERT INTO report_subscriptions (channel_id, source_channel_id, question, sql, chart_type, schedule, timezone, created_by, next_run_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+    [channelId, command.channel_id, question, sql, finalChartType, JSON.stringify(schedule), timeZone, command.user_id, nextRun]
+  );
+  
+  const when = describeSchedule(schedule);
+  return `✅ *Subscription #${inserted.rows[0].id} created*\n` +
+    `${when.charAt(0).toUpperCase() + when.slice(1)}, I'll post "${question}"${finalChartType ? ` with a ${finalChartType} chart` : ''} to <#${channelId}>.\n` +
+    `⏭️ Next run: ${formatRunTime(nextRun, timeZone)}\n` +
+    `📌 Pinned SQL:\n\`\`\`${sql}\`\`\``;
+}
+
+// List subscriptions for this channel and the ones the user created
+async function listSubscriptions(command) {
+  const result = await pool.query(
+    `SELECT * FROM report_subscriptions WHERE channel_id = $1 OR created_by = $2 ORDER BY id`,
+    [command.channel_id, command.user_id]
+  );
+  
+  if (result.rows.length === 0) {
+    return `📭 No scheduled reports here yet.\n\n${SUBSCRIBE_HELP}`;
+  }
+  
+  const lines = result.rows.map(sub => {
+    const status = sub.paused ? '⏸️ paused' : `⏭️ next ${formatRunTime(sub.next_run_at, sub.timezone)}`;
+    const error = sub.last_error ? `\n   ⚠️ Last run failed: ${sub.last_error}` : '';
+    return `*#${sub.id}* ${describeSchedule(sub.schedule)} → <#${sub.channel_id}>: "${sub.question}"${sub.chart_type ? ` (${sub.chart_type} chart)` : ''} — ${status}${error}`;
+  });
+  
+  return `📅 *Scheduled reports*\n${lines.join('\n')}`;
+}
+
+// Pause, resume or delete a subscription by id (only ones posting to this channel or created by the user,
+// the same ones `list` shows — anything else is reported as not found)
+async function updateSubscription(action, idText, command) {
+  const id = parseInt(String(idText || '').replace('#', ''), 10);
+  if (!id) {
+    return `Please give the subscription id, e.g. \`/salesbot-subscribe ${action} 3\` (see \`list\`).`;
+  }
+  
+  const existing = await pool.query(
+    'SELECT * FROM report_subscriptions WHERE id = $1 AND (channel_id = $2 OR created_by = $3)',
+    [id, command.channel_id, command.user_id]
+  );
+  if (existing.rows.length === 0) {
+    return `🤷 There's no subscription #${id} here (see \`list\`).`;
+  }
+  const sub = existing.rows[0];
+  
+  if (action === 'delete') {
+    await pool.query('DELETE FROM report_subscriptions WHERE id = $1', [id]);
+    return `🗑️ Subscription #${id} ("${sub.question}") deleted.`;
+  }
+  if (action === 'pause') {
+    await pool.query('UPDATE report_subscriptions SET paused = true WHERE id = $1', [id]);
+    return `⏸️ Subscription #${id} ("${sub.question}") paused. Use \`resume ${id}\` to start it again.`;
+  }
+  
+  // Resume from now on, without catching up on missed runs
+  const nextRun = nextRunAt(sub.schedule, sub.timezone);
+  await pool.query(
+    'UPDATE report_subscriptions SET paused = false, next_run_at = $1, last_error = NULL WHERE id = $2',
+    [nextRun, id]
+  );
+  return `▶️ Subscription #${id} ("${sub.question}") resumed. Next run: ${formatRunTime(nextRun, sub.timezone)}`;
+}
+
+// Run one subscription through the same pipeline as a mention, with its pinned SQL (under its creator's access in
+// the channel it was created in, limited to the target channel's; older ones that didn't record where they were
+// created only get the creator's own rules there)
+async function runSubscription(client, sub) {
+  const access = await resolvePostingAccess({
+    client, userId: sub.created_by, sourceChannel: sub.source_channel_id, targetChannel: sub.channel_id
+  });
+  
+  await client.chat.postMessage({
+    channel: sub.channel_id,
+    text: `📅 *Scheduled report:* ${sub.question}\n_${describeSchedule(sub.schedule)} · subscription #${sub.id}_`
+  });
+  
+  await answerQuestion({
+    question: sub.question,
+    channel: sub.channel_id,
+    client: client,
+    userId: sub.created_by,
+    pinnedQuery: { sql: sub.sql, chartType: sub.chart_type },
+    access: access
+  });
+}
+
+// Run every subscription that is due (each run is claimed first so it only happens once)
+async function runDueSubscriptions(client) {
+  let due;
+  try {
+    due = await pool.query(
+      'SELECT * FROM report_subscriptions WHERE NOT paused AND next_run_at <= NOW() ORDER BY next_run_at'
+    );
+  } catch (error) {
+    console.error('Error loading due subscriptions:', error.message);
+    return;
+  }
+  
+  for (const sub of due.rows) {
+    const claimed = await pool.query(
+      'UPDATE report_subscriptions SET next_run_at = $1, last_run_at = NOW() WHERE id = $2 AND next_run_at = $3',
+      [nextRunAt(sub.schedule, sub.timezone), sub.id, sub.next_run_at]
+    );
+    if (claimed.rowCount === 0) continue;
+    
+    try {
+      await runSubscription(client, sub);
+      await pool.query('UPDATE report_subscriptions SET last_error = NULL WHERE id = $1', [sub.id]);
+    } catch (error) {
+      console.error(`Scheduled report #${sub.id} failed:`, error);
+      await pool.query('UPDATE report_subscriptions SET last_error = $1 WHERE id = $2', [error.message, sub.id]);
+      await client.chat.postMessage({
+        channel: sub.channel_id,
+        text: `❌ Scheduled report #${sub.id} ("${sub.question}") failed: ${error.message}`
+      }).catch(() => {});
+    }
+  }
+}
+
+// Metric alerts (/salesbot-alert): watch sales_data aggregates and post when they cross a threshold or look anomalous
+const ALERT_CHECK_INTERVAL_MS = parseInt(process.env.ALERT_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const DEFAULT_ALERT_COOLDOWN_HOURS = parseInt(process.env.ALERT_COOLDOWN_HOURS, 10) || 24;
+const DEFAULT_ANOMALY_Z = 3;
+
+// The catalog metric an alert watches (periods without sales count as zero for additive metrics)
+function alertMetric(key) {
+  const metric = semanticLayer.metrics[key];
+  return { label: metric.label, select: metricSql(key), column: metric.alias, emptyValue: metric.zeroWhenEmpty ? 0 : null };
+}
+
+// Create the alerts table if it doesn't exist yet
+async function ensureAlertStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS metric_alerts (
+        id SERIAL PRIMARY KEY,
+        channel_id VARCHAR(50) NOT NULL,
+        source_channel_id VARCHAR(50),
+        description TEXT NOT NULL,
+        metric VARCHAR(20) NOT NULL,
+        filters JSONB NOT NULL DEFAULT '{}',
+        granularity VARCHAR(10) NOT NULL,
+        condition JSONB NOT NULL,
+        baseline_periods INTEGER NOT NULL,
+        cooldown_hours INTEGER NOT NULL,
+        created_by VARCHAR(50) NOT NULL,
+        paused BOOLEAN NOT NULL DEFAULT false,
+        last_checked_at TIMESTAMPTZ,
+        last_triggered_at TIMESTAMPTZ,
+        last_triggered_period VARCHAR(10),
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      ALTER TABLE metric_alerts ADD COLUMN IF NOT EXISTS source_channel_id VARCHAR(50);
+    `);
+    console.log('✅ Alert store ready');
+  } catch (error) {
+    console.error('❌ Could not set up alert store:', error.message);
+  }
+}
+
+// Parse "if daily revenue for Germany drops more than 30% vs. its 4-week average" into an alert rule
+function parseAlertRule(text) {
+  const t = text.toLowerCase().replace(/<#C[A-Z0-9]+(?:\|[^>]*)?>|#[a-z0-9_-]+/gi, ' ');
+  
+  const metric = findMentionedMetric(t) || semanticLayer.defaultMetric;
+  
+  const granularity = /\b(weekly|per week|each week|week over week)\b/.test(t) ? 'weekly' : 'daily';
+  
+  // Baseline window: "4-week average", "7 day average", in periods of the alert's granularity
+  const periodDays = granularity === 'weekly' ? 7 : 1;
+  let baselineDays = 28;
+  const weeksMatch = t.match(/(\d+)[\s-]*weeks?\b/);
+  const daysMatch = t.match(/(\d+)[\s-]*days?\b/);
+  if (weeksMatch) baselineDays = Number(weeksMatch[1]) * 7;
+  else if (daysMatch) baselineDays = Number(daysMatch[1]);
+  const baselinePeriods = Math.max(2, Math.round(baselineDays / periodDays));
+  
+  let condition = null;
+  const pctMatch = t.match(/(\d+(?:\.\d+)?)\s*%/);
+  const amountMatch = t.match(/(?:below|under|less than|above|over|exceeds?|more than|greater than)\s*\$?\s*([\d,]+(?:\.\d+)?)(?![\d.,]*\s*%)/);
+  
+  if (/\b(anomal\w*|unusual|outliers?|spikes? or drops?)\b/.test(t)) {
+    const zMatch = t.match(/\bz(?:-score)?\s*(?:>=?|above|over|of)?\s*(\d+(?:\.\d+)?)/);
+    condition = { type: 'anomaly', value: zMatch ? Number(zMatch[1]) : DEFAULT_ANOMALY_Z };
+  } else if (pctMatch && /\b(drops?|falls?|declines?|decreases?|down)\b/.test(t)) {
+    condition = { type: 'drop_pct', value: Number(pctMatch[1]) };
+  } else if (pctMatch && /\b(rises?|jumps?|spikes?|increases?|grows?|up)\b/.test(t)) {
+    condition = { type: 'rise_pct', value: Number(pctMatch[1]) };
+  } else if (amountMatch && /\b(below|under|less than)\b/.test(t)) {
+    condition = { type: 'below', value: Number(amountMatch[1].replace(/,/g, '')) };
+  } else if (amountMatch) {
+    condition = { type: 'above', value: Number(amountMatch[1].replace(/,/g, '')) };
+  }
+  
+  const filters = {};
+  const category = findMentionedValue(text, 'category');
+  const country = findMentionedValue(text, 'country');
+  if (category) filters.category = category;
+  if (country) filters.country = country;
+  
+  const cooldownMatch = t.match(/cool[\s-]?down (?:of )?(\d+)\s*h/);
+  const cooldownHours = cooldownMatch ? Number(cooldownMatch[1]) : DEFAULT_ALERT_COOLDOWN_HOURS;
+  
+  return { metric, granularity, baselinePeriods, condition, filters, cooldownHours };
+}
+
+// Human-readable alert rule, e.g. "daily revenue for Germany drops more than 30% vs. its 28-day average"
+function describeAlertRule(rule) {
+  const metric = alertMetric(rule.metric);
+  const scope = Object.values(rule.filters).join(', ');
+  const unit = rule.granularity === 'weekly' ? 'week' : 'day';
+  const subject = `${rule.granularity} ${metric.label}${scope ? ` for ${scope}` : ''}`;
+  const baseline = `its ${rule.baseline_periods || rule.baselinePeriods}-${unit} average`;
+  const { type, value } = rule.condition;
+  
+  if (type === 'drop_pct') return `${subject} drops more than ${value}% vs. ${baseline}`;
+  if (type === 'rise_pct') return `${subject} rises more than ${value}% vs. ${baseline}`;
+  if (type === 'below') return `${subject} is below ${formatNumber(value)}`;
+  if (type === 'above') return `${subject} is above ${formatNumber(value)}`;
+  return `${subject} is unusual (z-score ≥ ${value} vs. ${baseline})`;
+}
+
+// Date string (YYYY-MM-DD) a number of days away from another
+function shiftDate(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// The last complete period (yesterday, or last Monday–Sunday week) and the baseline periods before it
+function alertPeriods(granularity, baselinePeriods, now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  let current;
+  let step;
+  
+  if (granularity === 'weekly') {
+    const weekday = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7; // Monday = 0
+    current = shiftDate(today, -weekday - 7);
+    step = 7;
+  } else {
+    current = shiftDate(today, -1);
+    step = 1;
+  }
+  
+  const baseline = [];
+  for (let i = baselinePeriods; i >= 1; i--) {
+    baseline.push(shiftDate(current, -i * step));
+  }
+  return { current, baseline, end: shiftDate(current, step) };
+}
+
+// SQL for the alert's metric per period over the evaluation window
+function buildAlertSql(rule, periods) {
+  const metric = alertMetric(rule.metric);
+  const bucket = rule.granularity === 'weekly' ? 'week' : 'day';
+  const conditions = [
+    `sale_date >= ${quoteLiteral(periods.baseline[0])}`,
+    `sale_date < ${quoteLiteral(periods.end)}`,
+    ...Object.entries(rule.filters).map(([column, value]) => `${column} = ${quoteLiteral(value)}`)
+  ];
+  
+  return `SELECT to_char(date_trunc('${bucket}', sale_date), 'YYYY-MM-DD') AS period, ${metric.select} AS ${metric.column} ` +
+    `FROM sales_data WHERE ${conditions.join(' AND ')} GROUP BY 1 ORDER BY 1`;
+}
+
+// Evaluate one alert rule under its creator's access: returns the series, baseline stats and whether it fired
+async function evaluateAlert(rule, access) {
+  const metric = alertMetric(rule.metric);
+  const periods = alertPeriods(rule.granularity, rule.baseline_periods);
+  const { rows } = await queryDatabase(buildAlertSql(rule, periods), { access });
+  
+  // Fill periods without sales (no rows) so drops to zero are noticed
+  const byPeriod = new Map(rows.map(row => [row.period, row[metric.column] === null ? null : Number(row[metric.column])]));
+  const series = [...periods.baseline, periods.current].map(period => ({
+    period: period,
+    [metric.column]: byPeriod.has(period) ? byPeriod.get(period) : metric.emptyValue
+  }));
+  
+  const current = series[series.length - 1][metric.column];
+  const baselineValues = series.slice(0, -1).map(row => row[metric.column]).filter(v => v !== null);
+  if (current === null || baselineValues.length < 2) {
+    return { fired: false, series, current, period: periods.current };
+  }
+  
+  const mean = baselineValues.reduce((a, b) => a + b, 0) / baselineValues.length;
+  const std = Math.sqrt(baselineValues.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (baselineValues.length - 1));
+  const changePct = mean !== 0 ? ((current - mean) / mean) * 100 : null;
+  const zScore = std > 0 ? (current - mean) / std : null;
+  
+  const { type, value } = rule.condition;
+  let fired = false;
+  if (type === 'drop_pct') fired = changePct !== null && changePct <= -value;
+  if (type === 'rise_pct') fired = changePct !== null && changePct >= value;
+  if (type === 'below') fired = current < value;
+  if (type === 'above') fired = current > value;
+  if (type === 'anomaly') fired = zScore !== null && Math.abs(zScore) >= value;
+  
+  return { fired, series, current, mean, changePct, zScore, period: periods.current };
+}
+
+// Post an alert with the same results and chart blocks as an answer
+async function postAlert(client, rule, evaluation) {
+  const metric = alertMetric(rule.metric);
+  const unit = rule.granularity === 'weekly' ? 'week of' : 'day';
+  const change = evaluation.changePct !== null
+    ? `${evaluation.changePct >= 0 ? '▲' : '▼'} ${Math.abs(evaluation.changePct).toFixed(1)}% vs. average ${formatValue(evaluation.mean, metric.column)}`
+    : '';
+  const zScore = evaluation.zScore !== null ? ` · z-score ${evaluation.zScore.toFixed(2)}` : '';
+  
+  await client.chat.postMessage({
+    channel: rule.channel_id,
+    text: `🚨 Alert #${rule.id}: ${describeAlertRule(rule)}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🚨 *Alert #${rule.id}:* ${describeAlertRule(rule)}\n` +
+            `*${unit} ${evaluation.period}:* ${formatValue(evaluation.current, metric.column)}  ${change}${zScore}`
+        }
+      }
+    ]
+  });
+  
+  const question = `${rule.granularity} ${metric.label} ${Object.values(rule.filters).join(' ')}`.trim();
+  await postChart({ client, channel: rule.channel_id, data: evaluation.series, chartType: 'line', question });
+  
+  // Most recent periods first, like other results
+  const formattedResults = formatResults([...evaluation.series].reverse(), question);
+  await client.chat.postMessage({
+    channel: rule.channel_id,
+    ...(formattedResults.blocks ? { blocks: formattedResults.blocks, text: 'Alert details' } : { text: formattedResults })
+  });
+}
+
+// Check every active alert; fire at most once per period and never within the cool-down
+async function evaluateAlerts(client) {
+  let rules;
+  try {
+    rules = await pool.query('SELECT * FROM metric_alerts WHERE NOT paused ORDER BY id');
+  } catch (error) {
+    console.error('Error loading alerts:', error.message);
+    return;
+  }
+  
+  for (const rule of rules.rows) {
+    try {
+      // The creator's access where they set the alert up, limited to the target channel's (like subscriptions)
+      const access = await resolvePostingAccess({
+        client, userId: rule.created_by, sourceChannel: rule.source_channel_id, targetChannel: rule.channel_id
+      });
+      const evaluation = await evaluateAlert(rule, access);
+      const coolingDown = rule.last_triggered_at &&
+        Date.now() - new Date(rule.last_triggered_at).getTime() < rule.cooldown_hours * 60 * 60 * 1000;
+      const alreadyReported = rule.last_triggered_period === evaluation.period;
+      
+      if (evaluation.fired && !coolingDown && !alreadyReported) {
+        await postAlert(client, rule, evaluation);
+        await pool.query(
+          'UPDATE metric_alerts SET last_triggered_at = NOW(), last_triggered_period = $1 WHERE id = $2',
+          [evaluation.period, rule.id]
+        );
+      }
+      await pool.query('UPDATE metric_alerts SET last_checked_at = NOW(), last_error = NULL WHERE id = $1', [rule.id]);
+    } catch (error) {
+      console.error(`Alert #${rule.id} evaluation failed:`, error);
+      await pool.query('UPDATE metric_alerts SET last_checked_at = NOW(), last_error = $1 WHERE id = $2', [error.message, rule.id]);
+    }
+  }
+}
+
+// Usage text for /salesbot-alert (lists the catalog's metrics)
+function alertHelp() {
+  return `🚨 *Metric alerts*
+• \`/salesbot-alert #emea if daily revenue for Germany drops more than 30% vs. its 4-week average\`
+• \`/salesbot-alert if weekly units for Electronics rise more than 50%\`
+• \`/salesbot-alert if daily revenue is below 5000\`
+• \`/salesbot-alert if daily revenue for USA looks anomalous\` (z-score ≥ ${DEFAULT_ANOMALY_Z} vs. the baseline)
+• \`/salesbot-alert list\`
+• \`/salesbot-alert pause <id>\` / \`resume <id>\` / \`delete <id>\`
+
+Metrics: ${Object.values(semanticLayer.metrics).map(metric => metric.label).join(', ')}. Alerts are checked every ${Math.round(ALERT_CHECK_INTERVAL_MS / 60000)} minutes against the last complete day or week, and fire at most once per period with a ${DEFAULT_ALERT_COOLDOWN_HOURS}h cool-down (change it with \`cooldown 6h\`).`;
+}
+
+// Create an alert rule from the command text
+async function createAlert({ client, command, text }) {
+  const rule = parseAlertRule(text);
+  if (!rule.condition) {
+    return `🤔 I couldn't tell when to alert.\n\n${alertHelp()}`;
+  }
+  
+  const channelId = (await resolveChannelReference(client, text)) || command.channel_id;
+  if (channelId !== command.channel_id && !(await isChannelMember(client, channelId, command.user_id))) {
+    return `🔒 You can only post alerts to channels you're a member of — join <#${channelId}> first.`;
+  }
+  const stored = {
+    ...rule,
+    baseline_periods: rule.baselinePeriods,
+    channel_id: channelId,
+    source_channel_id: command.channel_id
+  };
+  
+  // Run it once so a broken rule is caught now rather than on the first check, under the same access the checks
+  // use (the values shown below are then ones the creator can see here anyway)
+  const access = await resolvePostingAccess({ client, userId: command.user_id, sourceChannel: command.channel_id, targetChannel: channelId });
+  const hidden = access.unrestricted ? [] : Object.entries(rule.filters)
+    .filter(([column, value]) => !access.grants.some(grant => !grant[column] || grant[column].includes(value)))
+    .map(([, value]) => value);
+  if (hidden.length > 0) {
+    return `🔒 You don't have access to ${hidden.join(' or ')} data for <#${channelId}>, so I can't alert on it.`;
+  }
+  const evaluation = await evaluateAlert(stored, access);
+  
+  const inserted = await pool.query(
+    `INSERT INTO metric_alerts (channel_id, source_channel_id, description, metric, filters, granularity, condition, baseline_periods, cooldown_hours, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+    [channelId, command.channel_id, text, rule.metric, JSON.stringify(rule.filters), rule.granularity, JSON.stringify(rule.condition),
+      rule.baselinePeriods, rule.cooldownHours, command.user_id]
+  );
+  
+  const metric = alertMetric(rule.metric);
+  return `✅ *Alert #${inserted.rows[0].id} created* — I'll post to <#${channelId}> when ${describeAlertRule(stored)}.\n` +
+    `Latest ${rule.granularity === 'weekly' ? 'week' : 'day'} (${evaluation.period}): ${formatValue(evaluation.current, metric.column)}` +
+    `${evaluation.mean !== undefined ? `, baseline average ${formatValue(evaluation.mean, metric.column)}` : ''}` +
+    `${evaluation.fired ? ' — this would fire right now, so expect a message shortly.' : '.'}`;
+}
+
+// List alerts for this channel and the ones the user created
+async function listAlerts(command) {
+  const result = await pool.query(
+    'SELECT * FROM metric_alerts WHERE channel_id = $1 OR created_by = $2 ORDER BY id',
+    [command.channel_id, command.user_id]
+  );
+  
+  if (result.rows.length === 0) {
+    return `📭 No alerts here yet.\n\n${alertHelp()}`;
+  }
+  
+  const lines = result.rows.map(rule => {
+    const status = rule.paused ? '⏸️ paused' : '▶️ active';
+    const lastFired = rule.last_triggered_at ? ` · last fired ${new Date(rule.last_triggered_at).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '';
+    const error = rule.last_error ? `\n   ⚠️ Last check failed: ${rule.last_error}` : '';
+    return `*#${rule.id}* → <#${rule.channel_id}>: ${describeAlertRule(rule)} — ${status}${lastFired}${error}`;
+  });
+  
+  return `🚨 *Metric alerts*\n${lines.join('\n')}`;
+}
+
+// Pause, resume or delete an alert by id (only ones posting to this channel or created by the user,
+// the same ones `list` shows — anything else is reported as not found)
+async function updateAlert(action, idText, command) {
+  const id = parseInt(String(idText || '').replace('#', ''), 10);
+  if (!id) {
+    return `Please give the alert id, e.g. \`/salesbot-alert ${action} 3\` (see \`list\`).`;
+  }
+  
+  const existing = await pool.query(
+    'SELECT * FROM metric_alerts WHERE id = $1 AND (channel_id = $2 OR created_by = $3)',
+    [id, command.channel_id, command.user_id]
+  );
+  if (existing.rows.length === 0) {
+    return `🤷 There's no alert #${id} here (see \`list\`).`;
+  }
+  
+  if (action === 'delete') {
+    await pool.query('DELETE FROM metric_alerts WHERE id = $1', [id]);
+    return `🗑️ Alert #${id} deleted.`;
+  }
+  
+  await pool.query('UPDATE metric_alerts SET paused = $1 WHERE id = $2', [action === 'pause', id]);
+  return action === 'pause'
+    ? `⏸️ Alert #${id} paused. Use \`resume ${id}\` to start it again.`
+    : `▶️ Alert #${id} resumed.`;
+}
+
+// App Home: headline KPIs for the latest period of data (with trends), a weekly chart, the user's saved queries and recent questions.
+// KPI queries go through the rows cache, so opening Home repeatedly doesn't re-run them until the data changes.
+const HOME_KPI_DAYS = parseInt(process.env.HOME_KPI_DAYS, 10) || 30;
+const HOME_KPI_METRICS = ['revenue', 'units', 'rating'];
+const HOME_CHART_WEEKS = 12;
+const HOME_RECENT_QUESTIONS = 5;
+const SPARKLINE_BARS = '▁▂▃▄▅▆▇█';
+
+// Create the question history table if it doesn't exist yet
+async function ensureQuestionHistoryStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS question_history (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(50) NOT NULL,
+        channel_id VARCHAR(50),
+        question TEXT NOT NULL,
+        asked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS question_history_user_idx ON question_history (user_id, asked_at)');
+    console.log('✅ Question history store ready');
+  } catch (error) {
+    console.error('❌ Could not set up question history store:', error.message);
+  }
+}
+
+// Remember a question a user got an answer to (for "recent questions" on Home)
+async function recordQuestionHistory(userId, channel, question) {
+  try {
+    await pool.query('INSERT INTO question_history (user_id, channel_id, question) VALUES ($1, $2, $3)', [userId, channel, question]);
+  } catch (error) {
+    console.error('Could not record question history:', error.message);
+  }
+}
+
+// A user's most recent distinct questions, newest first
+async function getRecentQuestions(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT question FROM question_history WHERE user_id = $1
+       GROUP BY question ORDER BY MAX(asked_at) DESC LIMIT $2`,
+      [userId, HOME_RECENT_QUESTIONS]
+    );
+    return result.rows.map(row => row.question);
+  } catch (error) {
+    console.error('Could not load recent questions:', error.message);
+    return [];
+  }
+}
+
+// The KPI periods: the last HOME_KPI_DAYS days up to the latest sale (today when there's none) and the days before
+function homePeriods() {
+  const range = schemaCatalog.tables.sales_data && schemaCatalog.tables.sales_data.ranges.sale_date;
+  const latest = range && range.max ? new Date(range.max) : null;
+  const today = todayInTimeZone(DEFAULT_TIMEZONE);
+  const last = latest
+    ? isoDate(latest.getFullYear(), latest.getMonth() + 1, latest.getDate())
+    : isoDate(today.year, today.month, today.day);
+  const end = shiftDate(last, 1);
+  
+  return {
+    last: last,
+    end: end,
+    currentStart: shiftDate(end, -HOME_KPI_DAYS),
+    previousStart: shiftDate(end, -2 * HOME_KPI_DAYS),
+    chartStart: shiftDate(end, -7 * HOME_CHART_WEEKS)
+  };
+}
+
+// Percentage change from the previous period (null when there's nothing to compare with)
+function percentChange(current, previous) {
+  const now = Number(current);
+  const before = Number(previous);
+  if (current === null || previous === null || !before) return null;
+  return ((now - before) / Math.abs(before) * 100).toFixed(1);
+}
+
+// Headline KPIs with trends, the top category and the weekly series, all run under the user's access
+async function loadHomeKpis(access) {
+  const periods = homePeriods();
+  const current = 'sale_date >= $2';
+  const previous = 'sale_date < $2';
+  const windowSql = 'FROM sales_data WHERE sale_date >= $1 AND sale_date < $3';
+  const params = [periods.previousStart, periods.currentStart, periods.end];
+  const rankBy = semanticLayer.defaultMetric;
+  const rankAlias = semanticLayer.metrics[rankBy].alias;
+  
+  const totalsSql = `SELECT ${HOME_KPI_METRICS.map(key => {
+    const alias = semanticLayer.metrics[key].alias;
+    return `${metricSql(key, current)} AS current_${alias}, ${metricSql(key, previous)} AS previous_${alias}`;
+  }).join(', ')} ${windowSql}`;
+  const topCategorySql = `SELECT category, ${metricSql(rankBy, current)} AS current_${rankAlias}, ` +
+    `${metricSql(rankBy, previous)} AS previous_${rankAlias} ${windowSql} ` +
+    `GROUP BY category ORDER BY current_${rankAlias} DESC NULLS LAST LIMIT 1`;
+  const weeklySql = `SELECT DATE_TRUNC('week', sale_date)::date AS week, ${metricSelect(rankBy)} ` +
+    `FROM sales_data WHERE sale_date >= $1 AND sale_date < $2 GROUP BY DATE_TRUNC('week', sale_date)::date ORDER BY week`;
+  
+  const totals = await cachedQueryDatabase(totalsSql, access, params);
+  const topCategory = await cachedQueryDatabase(topCategorySql, access, params);
+  const weekly = await cachedQueryDatabase(weeklySql, access, [periods.chartStart, periods.end]);
+  
+  const row = totals.rows[0] || {};
+  const kpis = HOME_KPI_METRICS.map(key => {
+    const alias = semanticLayer.metrics[key].alias;
+    return {
+      title: metricTitle(key),
+      value: formatTableValue(row[`current_${alias}`], alias),
+      change: percentChange(row[`current_${alias}`], row[`previous_${alias}`])
+    };
+  });
+  const top = topCategory.rows[0];
+  kpis.push({
+    title: `Top category (${semanticLayer.metrics[rankBy].label})`,
+    value: top ? `${top.category} · ${formatTableValue(top[`current_${rankAlias}`], rankAlias)}` : '-',
+    change: top ? percentChange(top[`current_${rankAlias}`], top[`previous_${rankAlias}`]) : null
+  });
+  
+  // The oldest cached piece says how fresh the dashboard is
+  const cachedAt = [totals, topCategory, weekly].map(result => result.cachedAt).filter(Boolean)
+    .sort((a, b) => a - b)[0] || null;
+  return { periods, kpis, weekly: weekly.rows, rankBy, cachedAt };
+}
+
+// A one-line bar sparkline of a series (e.g. "▂▃▅▇█▆")
+function sparkline(values) {
+  const numbers = values.map(Number);
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  return numbers.map(value => {
+    const level = max === min ? SPARKLINE_BARS.length - 1 : Math.round((value - min) / (max - min) * (SPARKLINE_BARS.length - 1));
+    return SPARKLINE_BARS[level];
+  }).join('');
+}
+
+// The weekly chart: a QuickChart image when that renderer is configured (Home can't show uploaded files), else a sparkline
+function buildHomeChartBlock(weekly, rankBy) {
+  const title = `${metricTitle(rankBy)} by week`;
+  if (weekly.length < 2) return null;
+  
+  if (CHART_RENDERER === 'quickchart') {
+    return {
+      type: "image",
+      title: {
+        type: "plain_text",
+        text: `📈 ${title}`
+      },
+      image_url: generateChartUrl(weekly, 'line', title),
+      alt_text: title
+    };
+  }
+  
+  const alias = semanticLayer.metrics[rankBy].alias;
+  const first = weekly[0];
+  const last = weekly[weekly.length - 1];
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `📈 *${title}*\n\`${sparkline(weekly.map(row => row[alias]))}\`  ` +
+        `${formatTableValue(first.week, 'week')} → ${formatTableValue(last.week, 'week')} (latest week ${formatTableValue(last[alias], alias)})`
+    }
+  };
+}
+
+// The Home tab for a user: KPIs (or why they're missing), the chart, saved queries with "Run" buttons
+// and recent questions with "Run again" buttons
+function buildHomeView({ home, error, access, savedQueries, recentQuestions }) {
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: "📊 Sales at a glance"
+      }
+    }
+  ];
+  
+  if (home) {
+    const { periods, kpis } = home;
+    blocks.push(
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Last ${HOME_KPI_DAYS} days of data (through ${formatTableValue(new Date(`${periods.last}T00:00:00`), 'date')}) vs. the ${HOME_KPI_DAYS} days before · ` +
+              (home.cachedAt ? `♻️ ${formatCacheAge(home.cachedAt)}` : 'just updated')
+          }
+        ]
+      },
+      {
+        type: "section",
+        fields: kpis.map(kpi => ({
+          type: "mrkdwn",
+          text: `*${kpi.title}*\n${kpi.value}\n${kpi.change === null ? 'no earlier data' : formatDelta(kpi.change, 'change_pct')}`
+        }))
+      }
+    );
+    const chart = buildHomeChartBlock(home.weekly, home.rankBy);
+    if (chart) blocks.push(chart);
+    if (!access.unrestricted) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `🔒 Figures cover the data you can access (${describeAccess(access)}).`
+          }
+        ]
+      });
+    }
+  } else {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: error || "🔒 You don't have access to any sales data."
+      }
+    });
+  }
+  
+  blocks.push(
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "💾 *Your saved queries*"
+      }
+    }
+  );
+  if (savedQueries.length === 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "None yet — use the 💾 Save button on an answer, or reply `save this as <name>` in its thread."
+        }
+      ]
+    });
+  }
+  savedQueries.forEach((saved, index) => {
+    const where = saved.scope === 'channel' ? ` · <#${saved.owner_id}>` : '';
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${saved.name}*${where}\n${saved.question.length > 200 ? saved.question.substring(0, 197) + '...' : saved.question}`
+      },
+      accessory: {
+        type: "button",
+        text: { type: "plain_text", text: "▶️ Run" },
+        action_id: `home_run_saved_${index}`,
+        value: String(saved.id)
+      }
+    });
+  });
+  
+  blocks.push(
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "🕘 *Your recent questions*"
+      }
+    }
+  );
+  if (recentQuestions.length === 0) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "Nothing yet — mention me in a channel or send me a DM, e.g. _top 5 products by revenue_."
+        }
+      ]
+    });
+  }
+  recentQuestions.forEach((question, index) => {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `• ${question.length > 200 ? question.substring(0, 197) + '...' : question}`
+      },
+      accessory: {
+        type: "button",
+        text: { type: "plain_text", text: "🔁 Run again" },
+        action_id: `home_rerun_${index}`,
+        value: question.slice(0, 2000)
+      }
+    });
+  });
+  
+  return { type: "home", blocks: blocks };
+}
+
+// Build and publish a user's Home tab
+async function publishHome(client, userId) {
+  try {
+    const access = await resolveAccess({ client, userId, channel: null });
+    const hasAccess = access.unrestricted || access.grants.length > 0;
+    let home = null;
+    let error = null;
+    if (hasAccess) {
+      try {
+        home = await loadHomeKpis(access);
+      } catch (kpiError) {
+        console.error('Could not load Home KPIs:', kpiError.message);
+        error = formatBlockedQueryMessage(kpiError) || `❌ Couldn't load the figures right now: ${kpiError.message}`;
+      }
+    }
+    const savedQueries = await getHomeSavedQueries(userId);
+    const recentQuestions = await getRecentQuestions(userId);
+    
+    await client.views.publish({
+      user_id: userId,
+      view: buildHomeView({ home, error, access, savedQueries, recentQuestions })
+    });
+  } catch (error) {
+    console.error('Error publishing App Home:', error);
+  }
+}
+
+// /salesbot slash command: the same pipeline with ephemeral answers that the asker can share to the channel
+const SALESBOT_HELP_VALUES = 12;
+
+// Where an action's message lives: its channel and ts, the thread to answer in, and whether it's ephemeral
+// (ephemeral messages have no thread and can only be replaced through the action's response URL)
+function actionMessageContext(body) {
+  const ephemeral = Boolean(body.container && body.container.is_ephemeral);
+  return {
+    channel: body.channel.id,
+    messageTs: ephemeral ? body.container.message_ts : body.message.ts,
+    threadTs: ephemeral ? null : (body.message.thread_ts || body.message.ts),
+    ephemeral: ephemeral
+  };
+}
+
+// The id of the user's DM with the bot
+async function openDirectMessage(client, userId) {
+  const result = await client.conversations.open({ users: userId });
+  return result.channel.id;
+}
+
+// Known values of a column the user can see under their access
+function accessibleValues(column, access) {
+  return knownValues(column).filter(value => access.unrestricted ||
+    access.grants.some(grant => !grant[column] || grant[column].includes(value)));
+}
+
+// /salesbot help: example questions built from the categories and countries currently in the data
+function salesbotHelp(access) {
+  const categories = accessibleValues('category', access);
+  const countries = accessibleValues('country', access);
+  const [category, otherCategory] = categories;
+  const [country, otherCountry] = countries;
+  const units = semanticLayer.metrics.units.label;
+  
+  const examples = [
+    'Total revenue last month',
+    country && `Revenue in ${country} this year`,
+    category && `Top 5 products in ${category} by ${units}`,
+    country && otherCountry && `${country} vs ${otherCountry} revenue`,
+    category && otherCategory && `${category} vs ${otherCategory} by month`,
+    category && (otherCountry || country) && `${category} sales in ${otherCountry || country} with rating above 4`,
+    'Revenue by category month over month',
+    'Monthly revenue as a line chart',
+    'Average rating by country'
+  ].filter(Boolean);
+  const list = (values) => values.length > SALESBOT_HELP_VALUES
+    ? `${values.slice(0, SALESBOT_HELP_VALUES).join(', ')} and ${values.length - SALESBOT_HELP_VALUES} more`
+    : values.join(', ');
+  
+  return `🔎 *Ask privately with /salesbot*
+${examples.map(example => `• \`/salesbot ${example}\``).join('\n')}
+
+${categories.length > 0 ? `*Categories:* ${list(categories)}\n` : ''}${countries.length > 0 ? `*Countries:* ${list(countries)}\n` : ''}
+Answers are only visible to you — press *📣 Share to channel* to post one for everyone. Add "chart", "as table" or "as csv" to any question.
+Saved queries: \`/salesbot run <name>\`, \`/salesbot saved\` — save one with the 💾 Save button on an answer.`;
+}
+
+// Saved queries: named bookmarks of a question with its generated SQL and chart type, kept per user or per channel.
+// Running one re-executes the pinned SQL (no SQL generation), so the numbers stay comparable week to week.
+const SAVED_QUERY_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const HOME_SAVED_QUERIES = 10;
+
+// Create the saved queries table if it doesn't exist yet
+async function ensureSavedQueryStore() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_queries (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) NOT NULL,
+        scope VARCHAR(10) NOT NULL,
+        owner_id VARCHAR(50) NOT NULL,
+        question TEXT NOT NULL,
+        sql TEXT NOT NULL,
+        chart_type VARCHAR(20),
+        explanation TEXT,
+        created_by VARCHAR(50) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_run_at TIMESTAMPTZ,
+        UNIQUE (scope, owner_id, name)
+      )
+    `);
+    console.log('✅ Saved query store ready');
+  } catch (error) {
+    console.error('❌ Could not set up saved query store:', error.message);
+  }
+}
+
+const SAVED_QUERY_HELP = `💾 *Saved queries*
+• \`save this as electronics-weekly\` — in the thread of an answer (or use the 💾 Save button on it)
+• \`save this as electronics-weekly for this channel\` — everyone in the channel can run it
+• \`run electronics-weekly\` — reruns the saved SQL as-is
+• \`saved\` — lists your saved queries and this channel's
+• \`rename electronics-weekly to electronics-monday\` / \`delete electronics-weekly\`
+• \`share electronics-weekly with #sales\`
+
+Use them in a mention, a DM or with \`/salesbot\`. Names use lowercase letters, digits, - and _.`;
+
+// Recognize a saved-query command in a message ("save this as x", "run x", "saved", "rename x to y", ...)
+function parseSavedQueryCommand(text) {
+  const t = text.trim().replace(/[.!]+$/, '');
+  const name = `["'\`]?([\\w-]+)["'\`]?`;
+  let match;
+  
+  if ((match = t.match(/^save\s+(?:this|that|it)\s+as\s+(.+?)(\s+for\s+(?:this|the)\s+channel)?$/i))) {
+    return { action: 'save', name: match[1].replace(/^["'`]|["'`]$/g, '').toLowerCase(), forChannel: Boolean(match[2]) };
+  }
+  if ((match = t.match(new RegExp(`^run\\s+${name}$`, 'i')))) {
+    return { action: 'run', name: match[1].toLowerCase() };
+  }
+  if (/^(?:(?:list|show)\s+)?(?:my\s+)?saved(?:\s+quer(?:y|ies))?$/i.test(t)) {
+    return { action: 'list' };
+  }
+  if ((match = t.match(new RegExp(`^rename\\s+${name}\\s+to\\s+${name}$`, 'i')))) {
+    return { action: 'rename', name: match[1].toLowerCase(), newName: match[2].toLowerCase() };
+  }
+  if ((match = t.match(new RegExp(`^(?:delete|remove)\\s+(?:saved\\s+(?:query\\s+)?)?${name}$`, 'i')))) {
+    return { action: 'delete', name: match[1].toLowerCase() };
+  }
+  if ((match = t.match(new RegExp(`^share\\s+${name}\\s+(?:with|to|in)\\s+(.+)$`, 'i')))) {
+    return { action: 'share', name: match[1].toLowerCase(), target: match[2].trim() };
+  }
+  return null;
+}
+
+// Why a saved query name isn't usable (null when it's fine)
+function invalidSavedQueryName(name) {
+  return SAVED_QUERY_NAME_PATTERN.test(name)
+    ? null
+    : `"${name}" isn't a valid name — use up to 50 lowercase letters, digits, - and _ (e.g. \`electronics-weekly\`).`;
+}
+
+// A saved query by name: the user's own first, then the channel's
+async function findSavedQuery(name, userId, channel) {
+  const result = await pool.query(
+    `SELECT * FROM saved_queries
+     WHERE name = $1 AND ((scope = 'user' AND owner_id = $2) OR (scope = 'channel' AND owner_id = $3))
+     ORDER BY scope DESC LIMIT 1`,
+    [name, userId, channel]
+  );
+  return result.rows[0] || null;
+}
+
+// Insert a saved query (false when its owner already has one with that name)
+async function insertSavedQuery({ name, scope, ownerId, question, sql, chartType, explanation, userId }) {
+  validateSql(sql);
+  try {
+    await pool.query(
+      `INSERT INTO saved_queries (name, scope, owner_id, question, sql, chart_type, explanation, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [name, scope, ownerId, question, sql, chartType || null, explanation || null, userId]
+    );
+    return true;
+  } catch (error) {
+    if (error.code !== '23505') throw error;
+    return false;
+  }
+}
+
+// Store a query under a name for a user or a channel (returns the reply to show)
+async function saveQuery(fields) {
+  const nameProblem = invalidSavedQueryName(fields.name);
+  if (nameProblem) return `🤔 ${nameProblem}`;
+  
+  if (!(await insertSavedQuery(fields))) {
+    return `⚠️ ${fields.scope === 'channel' ? 'This channel already has' : 'You already have'} a saved query called *${fields.name}* — pick another name, or \`delete ${fields.name}\` first.`;
+  }
+  return describeSavedQuery(fields);
+}
+
+// Confirmation for a newly saved query
+function describeSavedQuery({ name, scope, ownerId, question, chartType }) {
+  const where = scope === 'channel' ? `for <#${ownerId}>` : 'for you';
+  return `💾 Saved *${name}* ${where}: "${question}"${chartType ? ` (${chartType} chart)` : ''}. Run it any time with \`run ${name}\`.`;
+}
+
+// "save this as <name>": the latest answer in the thread the command was sent in
+async function saveQueryFromThread(command, { channel, threadTs, userId }) {
+  const conversation = threadTs ? getConversation(channel, threadTs) : null;
+  if (!conversation || conversation.turns.length === 0) {
+    return "🤔 I don't see an answer to save here. Reply `save this as <name>` in the thread of the answer, or use its 💾 Save button.";
+  }
+  if (command.forChannel && channel.startsWith('D')) {
+    return '🤔 Save it from a channel to share it with that channel — in a DM it can only be saved for you.';
+  }
+  
+  const turn = conversation.turns[conversation.turns.length - 1];
+  return saveQuery({
+    name: command.name,
+    scope: command.forChannel ? 'channel' : 'user',
+    ownerId: command.forChannel ? channel : userId,
+    question: turn.question,
+    sql: turn.sql,
+    chartType: turn.chartType,
+    explanation: turn.explanation,
+    userId: userId
+  });
+}
+
+// Rerun a saved query's pinned SQL in the given channel/thread
+async function runSavedQuery(saved, { client, channel, threadTs = null, userId, ephemeral = false }) {
+  await pool.query('UPDATE saved_queries SET last_run_at = NOW() WHERE id = $1', [saved.id]);
+  await answerQuestion({
+    question: saved.question,
+    channel,
+    threadTs,
+    client,
+    userId,
+    pinnedQuery: { sql: saved.sql, chartType: saved.chart_type, explanation: saved.explanation },
+    ephemeral
+  });
+}
+
+// List the user's saved queries and the channel's
+async function listSavedQueries(userId, channel) {
+  const result = await pool.query(
+    `SELECT * FROM saved_queries
+     WHERE (scope = 'user' AND owner_id = $1) OR (scope = 'channel' AND owner_id = $2)
+     ORDER BY scope DESC, name`,
+    [userId, channel]
+  );
+  
+  if (result.rows.length === 0) {
+    return `📭 No saved queries yet.\n\n${SAVED_QUERY_HELP}`;
+  }
+  
+  const lines = result.rows.map(saved => {
+    const owner = saved.scope === 'channel' ? `<#${saved.owner_id}>, saved by <@${saved.created_by}>` : 'yours';
+    return `• *${saved.name}* — "${saved.question}"${saved.chart_type ? ` (${saved.chart_type} chart)` : ''} · ${owner}`;
+  });
+  return `💾 *Saved queries*\n${lines.join('\n')}\n\nRun one with \`run <name>\`.`;
+}
+
+// Why the user can't change a saved query (null when they can): channel queries belong to whoever saved them
+function savedQueryChangeProblem(saved, userId, verb) {
+  if (saved.scope === 'user' || saved.created_by === userId) return null;
+  return `🔒 Only <@${saved.created_by}> can ${verb} *${saved.name}* in this channel.`;
+}
+
+// Rename a saved query
+async function renameSavedQuery(name, newName, userId, channel) {
+  const saved = await findSavedQuery(name, userId, channel);
+  if (!saved) return `🤷 There's no saved query called *${name}*. Say \`saved\` to list them.`;
+  const problem = savedQueryChangeProblem(saved, userId, 'rename') || invalidSavedQueryName(newName);
+  if (problem) return problem;
+  
+  try {
+    await pool.query('UPDATE saved_queries SET name = $1 WHERE id = $2', [newName, saved.id]);
+  } catch (error) {
+    if (error.code !== '23505') throw error;
+    return `⚠️ There's already a saved query called *${newName}* — pick another name.`;
+  }
+  return `✏️ Renamed *${name}* to *${newName}*.`;
+}
+
+// Delete a saved query
+async function deleteSavedQuery(name, userId, channel) {
+  const saved = await findSavedQuery(name, userId, channel);
+  if (!saved) return `🤷 There's no saved query called *${name}*. Say \`saved\` to list them.`;
+  const problem = savedQueryChangeProblem(saved, userId, 'delete');
+  if (problem) return problem;
+  
+  await pool.query('DELETE FROM saved_queries WHERE id = $1', [saved.id]);
+  return `🗑️ Saved query *${name}* deleted.`;
+}
+
+// Share a saved query with a channel (a copy the channel's members can run) and tell the channel about it
+async function shareSavedQuery(name, target, { client, userId, channel }) {
+  const saved = await findSavedQuery(name, userId, channel);
+  if (!saved) return `🤷 There's no saved query called *${name}*. Say \`saved\` to list them.`;
+  
+  const targetChannel = /^(?:this|the)\s+channel$|^here$/i.test(target) ? channel : await resolveChannelReference(client, target);
+  if (!targetChannel || targetChannel.startsWith('D')) {
+    return '🤔 Which channel? Try `share <name> with #channel`.';
+  }
+  
+  const inserted = await insertSavedQuery({
+    name: saved.name,
+    scope: 'channel',
+    ownerId: targetChannel,
+    question: saved.question,
+    sql: saved.sql,
+    chartType: saved.chart_type,
+    explanation: saved.explanation,
+    userId: userId
+  });
+  if (!inserted) {
+    return `⚠️ <#${targetChannel}> already has a saved query called *${saved.name}* — \`rename\` yours first.`;
+  }
+  
+  await client.chat.postMessage({
+    channel: targetChannel,
+    text: `📌 <@${userId}> shared the saved query *${saved.name}* with this channel: "${saved.question}". Run it with \`@salesbot run ${saved.name}\` or \`/salesbot run ${saved.name}\`.`
+  });
+  return `📌 Shared *${saved.name}* with <#${targetChannel}>.`;
+}
+
+// Carry out a parsed saved-query command, replying with `reply` (or answering in place for `run`)
+async function handleSavedQueryCommand(command, context) {
+  const { client, channel, userId, reply } = context;
+  
+  switch (command.action) {
+    case 'save':
+      await reply(await saveQueryFromThread(command, context));
+      break;
+    case 'run': {
+      const saved = await findSavedQuery(command.name, userId, channel);
+      if (!saved) {
+        await reply(`🤷 There's no saved query called *${command.name}*. Say \`saved\` to list them.`);
+        break;
+      }
+      await runSavedQuery(saved, context);
+      break;
+    }
+    case 'list':
+      await reply(await listSavedQueries(userId, channel));
+      break;
+    case 'rename':
+      await reply(await renameSavedQuery(command.name, command.newName, userId, channel));
+      break;
+    case 'delete':
+      await reply(await deleteSavedQuery(command.name, userId, channel));
+      break;
+    case 'share':
+      await reply(await shareSavedQuery(command.name, command.target, { client, userId, channel }));
+      break;
+  }
+}
+
+// The user's saved queries for Home: their own, plus the ones they saved for channels
+async function getHomeSavedQueries(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM saved_queries WHERE (scope = 'user' AND owner_id = $1) OR created_by = $1
+       ORDER BY last_run_at DESC NULLS LAST, created_at DESC LIMIT $2`,
+      [userId, HOME_SAVED_QUERIES]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Could not load saved queries:', error.message);
+    return [];
+  }
+}
+
+// Modal for naming a saved query from an answer's 💾 Save button
+function buildSaveQueryModal({ sql, question, chartType, explanation, channel }) {
+  const canShare = !channel.startsWith('D');
+  return {
+    type: "modal",
+    callback_id: "save_query_modal",
+    private_metadata: JSON.stringify({ sql, question, chartType, explanation, channel }),
+    title: { type: "plain_text", text: "Save query" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `"${question}" — the SQL is saved as-is, so every run is comparable.`
+          }
+        ]
+      },
+      {
+        type: "input",
+        block_id: "name_input",
+        label: { type: "plain_text", text: "Name" },
+        hint: { type: "plain_text", text: "Lowercase letters, digits, - and _ — run it later with \"run <name>\"." },
+        element: {
+          type: "plain_text_input",
+          action_id: "name",
+          placeholder: { type: "plain_text", text: "electronics-weekly" }
+        }
+      },
+      ...(canShare ? [{
+        type: "input",
+        block_id: "scope_input",
+        label: { type: "plain_text", text: "Who can run it" },
+        element: {
+          type: "radio_buttons",
+          action_id: "scope",
+          initial_option: { text: { type: "plain_text", text: "Just me" }, value: "user" },
+          options: [
+            { text: { type: "plain_text", text: "Just me" }, value: "user" },
+            { text: { type: "plain_text", text: "Everyone in this channel" }, value: "channel" }
+          ]
+        }
+      }] : [])
+    ]
+  };
+}
+
+// Handle app mentions (@bot)
+app.event('app_mention', async ({ event, client, say }) => {
+  // Reply in the existing thread, or start one under the mention
+  const threadTs = event.thread_ts || event.ts;
+  const reply = (message) => say({ text: message, thread_ts: threadTs });
+  
+  try {
+    // Remove bot mention from message
+    const question = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+    
+    if (!question) {
+      await reply('👋 Hi! Ask me about the Amazon sales data! Try:\n• "What are the total sales?"\n• "Show me top products"\n• "Sales by category"\n• "Average rating"');
+      return;
+    }
+    
+    // Saved queries: "save this as ...", "run ...", "saved", "rename ...", "delete ...", "share ..."
+    const savedQueryCommand = parseSavedQueryCommand(question);
+    if (savedQueryCommand) {
+      await handleSavedQueryCommand(savedQueryCommand, { client, channel: event.channel, threadTs, userId: event.user, reply });
+      return;
+    }
+    
+    // Check if it's a greeting or casual conversation
+    const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'how are you', "what's up", 'sup', 'howdy'];
+    const isGreeting = greetings.some(g => question.toLowerCase().includes(g) && question.split(' ').length <= 5);
+    
+    if (isGreeting) {
+      await reply('👋 Hello! I\'m your Sales Assistant. I can help you analyze Amazon sales data!\n\nTry asking me:\n• "What are the total sales?"\n• "Show me top products"\n• "Pie chart of sales by category"\n• "Which products have rating above 4.5?"\n• "Compare sales between USA and Canada"\n\n💬 Reply in my thread to refine an answer, e.g. "now only for Germany" or "show that as a pie chart".');
+      return;
+    }
+    
+    // Check if question is relevant to sales data
+    const isRelevant = await isQuestionRelevant(question);
+    
+    if (!isRelevant) {
+      await reply("🤔 I'm specialized in analyzing Amazon sales data. I can't help with that question, but I'd love to help you with:\n\n📊 Sales Analysis:\n• Total sales and revenue\n• Top products and categories\n• Sales by country\n• Product ratings\n\n📈 Visualizations:\n• Charts and graphs\n• Sales comparisons\n• Performance metrics\n\nTry asking something like: \"What are the top selling products in electronics?\"");
+      return;
+    }
+    
+    await answerQuestion({ question, channel: event.channel, threadTs, client, userId: event.user });
+    
+  } catch (error) {
+    const blockedMessage = formatBlockedQueryMessage(error);
+    if (blockedMessage) {
+      console.warn('Blocked query:', error.message);
+      await reply(blockedMessage);
+      return;
+    }
+    console.error('Error processing mention:', error);
+    await reply(`❌ Oops! Something went wrong: ${error.message}`);
+  }
+});
+
+// Handle direct messages and follow-ups in the bot's threads
+app.message(async ({ message, say, client, context }) => {
+  // Ignore bot messages and message edits/deletions
+  if (message.subtype || message.bot_id) return;
+  
+  // Mentions are answered by the app_mention handler
+  if (context.botUserId && message.text && message.text.includes(`<@${context.botUserId}>`)) return;
+  
+  // Threaded messages are only answered in threads the bot is already having a conversation in
+  if (message.thread_ts && !getConversation(message.channel, message.thread_ts)) return;
+  
+  const threadTs = message.thread_ts || message.ts;
+  const reply = (text) => say({ text: text, thread_ts: threadTs });
+  
+  try {
+    const question = (message.text || '').trim();
+    
+    if (!question) return;
+    
+    // Saved queries: "save this as ...", "run ...", "saved", "rename ...", "delete ...", "share ..."
+    const savedQueryCommand = parseSavedQueryCommand(question);
+    if (savedQueryCommand) {
+      await handleSavedQueryCommand(savedQueryCommand, { client, channel: message.channel, threadTs, userId: message.user, reply });
+      return;
+    }
+    
+    // In a thread, only replies that ask for something are follow-ups ("thanks" isn't)
+    if (message.thread_ts && !isFollowUpRequest(question)) return;
+    
+    // Check if it's a greeting or casual conversation
+    const greetings = ['hi', 'hello', 'hey', 'good morning', 'good afternoon', 'good evening', 'how are you', "what's up", 'sup', 'howdy'];
+    const isGreeting = greetings.some(g => question.toLowerCase().includes(g) && question.split(' ').length <= 5);
+    
+    if (isGreeting && !message.thread_ts) {
+      await reply('👋 Hello! I\'m your Sales Assistant. I can help you analyze Amazon sales data!\n\nTry asking:\n• "What are the total sales?"\n• "Show me top products"\n• "Pie chart of sales by category"\n• "Which products have rating above 4.5?"\n\n💬 Reply in my thread to refine an answer.');
+      return;
+    }
+    
+    // Check if question is relevant to sales data
+    const isRelevant = await isQuestionRelevant(question);
+    
+    if (!isRelevant) {
+      await reply("🤔 I'm specialized in analyzing Amazon sales data. I can't help with that question, but I'd love to help you with:\n\n📊 Sales Analysis:\n• Total sales and revenue\n• Top products and categories\n• Sales by country\n• Product ratings\n\n📈 Visualizations:\n• Charts and graphs\n• Sales comparisons\n\nTry asking: \"What are the top selling products in electronics?\"");
+      return;
+    }
+    
+    await answerQuestion({ question, channel: message.channel, threadTs, client, userId: message.user });
+    
+  } catch (error) {
+    const blockedMessage = formatBlockedQueryMessage(error);
+    if (blockedMessage) {
+      console.warn('Blocked query:', error.message);
+      await reply(blockedMessage);
+      return;
+    }
+    console.error('Error processing message:', error);
+    await reply(`❌ Error: ${error.message}`);
+  }
+});
+
+// Export buttons on results messages
+async function handleExportAction({ ack, body, action, client }, format) {
+  await ack();
+  
+  const { channel, threadTs, ephemeral } = actionMessageContext(body);
+  
+  try {
+    const { sql, question } = JSON.parse(action.value);
+    const access = await resolveAccess({ client, userId: body.user.id, channel });
+    // Files from ephemeral answers go to the user's DM so nobody else sees them
+    const exportChannel = ephemeral ? await openDirectMessage(client, body.user.id) : channel;
+    await exportResults({ client, channel: exportChannel, threadTs, sql, question, format, access });
+  } catch (error) {
+    console.error('Error exporting results:', error);
+    await client.chat.postEphemeral({
+      channel: channel,
+      user: body.user.id,
+      text: formatBlockedQueryMessage(error) || `❌ Export failed: ${error.message}`
+    });
+  }
+}
+
+app.action('export_results_csv', (args) => handleExportAction(args, 'csv'));
+app.action('export_results_xlsx', (args) => handleExportAction(args, 'xlsx'));
+
+// Reveal the SQL (and the model's explanation) behind an answer to the user who asked
+app.action('show_sql', async ({ ack, body, action, client }) => {
+  await ack();
+  
+  const { sql, explanation } = JSON.parse(action.value);
+  const { channel, threadTs } = actionMessageContext(body);
+  const explanationText = explanation ? `\n_${explanation}_` : '';
+  await client.chat.postEphemeral({
+    channel: channel,
+    user: body.user.id,
+    ...(threadTs ? { thread_ts: threadTs } : {}),
+    text: `🧾 *SQL behind this answer*${explanationText}\n\`\`\`${sql}\`\`\``
+  });
+});
+
+// Open the Edit & rerun modal with the SQL pre-filled
+app.action('edit_sql', async ({ ack, body, action, client }) => {
+  await ack();
+  
+  const { sql, question, chartType } = JSON.parse(action.value);
+  const { channel, threadTs, ephemeral } = actionMessageContext(body);
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildEditSqlModal({ sql, question, chartType, channel, threadTs, ephemeral })
+    });
+  } catch (error) {
+    console.error('Error opening SQL editor:', error);
+  }
+});
+
+// Run edited SQL through the same safety checks and answer pipeline
+app.view('edit_sql_modal', async ({ ack, body, view, client }) => {
+  const sql = view.state.values.sql_input.sql.value;
+  const { channel, threadTs, question, chartType, ephemeral = false } = JSON.parse(view.private_metadata);
+  const userId = body.user.id;
+  const post = (text) => ephemeral
+    ? client.chat.postEphemeral({ channel, user: userId, text })
+    : client.chat.postMessage({ channel, thread_ts: threadTs, text });
+  
+  // Unsafe SQL is reported inside the modal so it can be fixed without retyping
+  try {
+    validateSql(sql);
+  } catch (error) {
+    if (!(error instanceof UnsafeQueryError)) throw error;
+    await ack({
+      response_action: 'errors',
+      errors: { sql_input: `🚫 ${error.message}` }
+    });
+    return;
+  }
+  await ack();
+  
+  try {
+    await post(`✏️ <@${userId}> reran an edited query:\n\`\`\`${sql}\`\`\``);
+    await answerQuestion({ question, channel, threadTs, client, userId, pinnedQuery: { sql, chartType }, ephemeral });
+  } catch (error) {
+    console.error('Error running edited query:', error);
+    await post(formatBlockedQueryMessage(error) || `❌ The edited query failed: ${error.message}`);
+  }
+});
+
+// Open the Save query modal for an answer
+app.action('save_query', async ({ ack, body, action, client }) => {
+  await ack();
+  
+  const { sql, question, chartType, explanation } = JSON.parse(action.value);
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildSaveQueryModal({ sql, question, chartType, explanation, channel: body.channel.id })
+    });
+  } catch (error) {
+    console.error('Error opening save query modal:', error);
+  }
+});
+
+// Save the answer's query under the chosen name (name problems are reported inside the modal)
+app.view('save_query_modal', async ({ ack, body, view, client }) => {
+  const { sql, question, chartType, explanation, channel } = JSON.parse(view.private_metadata);
+  const name = (view.state.values.name_input.name.value || '').trim().toLowerCase();
+  const scopeInput = view.state.values.scope_input;
+  const scope = scopeInput ? scopeInput.scope.selected_option.value : 'user';
+  const userId = body.user.id;
+  
+  const nameProblem = invalidSavedQueryName(name);
+  if (nameProblem) {
+    await ack({ response_action: 'errors', errors: { name_input: nameProblem } });
+    return;
+  }
+  
+  try {
+    const fields = { name, scope, ownerId: scope === 'channel' ? channel : userId, question, sql, chartType, explanation, userId };
+    if (!(await insertSavedQuery(fields))) {
+      await ack({ response_action: 'errors', errors: { name_input: `There's already a saved query called "${name}" — pick another name.` } });
+      return;
+    }
+    await ack();
+    await client.chat.postEphemeral({ channel: channel, user: userId, text: describeSavedQuery(fields) });
+  } catch (error) {
+    console.error('Error saving query:', error);
+    await ack({ response_action: 'errors', errors: { name_input: formatBlockedQueryMessage(error) || `Couldn't save it: ${error.message}` } });
+  }
+});
+
+// Answer the reading picked on a clarifying question, remembering a picked metric as the user's preference
+app.action(/^clarify_option_\d+$/, async ({ ack, body, action, client, respond }) => {
+  await ack();
+
+  const { channel, messageTs, threadTs, ephemeral } = actionMessageContext(body);
+  const option = JSON.parse(action.value);
+  const picked = {
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `✅ <@${body.user.id}> picked *${option.label}*`
+      }
+    ]
+  };
+
+  try {
+    if (option.metric) await saveUserPreference(body.user.id, 'metric', option.metric);
+
+    // Swap the buttons for the pick so the question can't be answered twice
+    if (ephemeral) {
+      await respond({ replace_original: true, text: `✅ ${option.label}`, blocks: [picked] });
+    } else {
+      await client.chat.update({
+        channel: channel,
+        ts: messageTs,
+        text: `${body.message.text} ✅ ${option.label}`,
+        blocks: [body.message.blocks[0], picked]
+      });
+    }
+    await answerQuestion({ question: option.question, channel, threadTs, client, userId: body.user.id, ephemeral });
+  } catch (error) {
+    console.error('Error answering clarified question:', error);
+    const text = formatBlockedQueryMessage(error) || `❌ Oops! Something went wrong: ${error.message}`;
+    await (ephemeral
+      ? client.chat.postEphemeral({ channel, user: body.user.id, text })
+      : client.chat.postMessage({ channel, thread_ts: threadTs, text }));
+  }
+});
+
+// Refresh the Home tab every time it's opened
+app.event('app_home_opened', async ({ event, client }) => {
+  if (event.tab !== 'home') return;
+  await publishHome(client, event.user);
+});
+
+// Re-run a recent question from Home, answering in the user's DM with the bot
+app.action(/^home_rerun_\d+$/, async ({ ack, body, action, client }) => {
+  await ack();
+  
+  const userId = body.user.id;
+  let channel = null;
+  try {
+    channel = await openDirectMessage(client, userId);
+    await answerQuestion({ question: action.value, channel, client, userId });
+  } catch (error) {
+    console.error('Error re-running question from Home:', error);
+    if (channel) {
+      await client.chat.postMessage({
+        channel: channel,
+        text: formatBlockedQueryMessage(error) || `❌ Oops! Something went wrong: ${error.message}`
+      });
+    }
+  }
+  await publishHome(client, userId);
+});
+
+// Run a saved query from Home, answering in the user's DM with the bot
+app.action(/^home_run_saved_\d+$/, async ({ ack, body, action, client }) => {
+  await ack();
+  
+  const userId = body.user.id;
+  let channel = null;
+  try {
+    channel = await openDirectMessage(client, userId);
+    const result = await pool.query(
+      `SELECT * FROM saved_queries WHERE id = $1 AND ((scope = 'user' AND owner_id = $2) OR created_by = $2)`,
+      [Number(action.value), userId]
+    );
+    if (result.rows.length === 0) {
+      await client.chat.postMessage({ channel: channel, text: '🤷 That saved query no longer exists.' });
+    } else {
+      await runSavedQuery(result.rows[0], { client, channel, userId });
+    }
+  } catch (error) {
+    console.error('Error running saved query from Home:', error);
+    if (channel) {
+      await client.chat.postMessage({
+        channel: channel,
+        text: formatBlockedQueryMessage(error) || `❌ Oops! Something went wrong: ${error.message}`
+      });
+    }
+  }
+  await publishHome(client, userId);
+});
+
+// Post an ephemeral /salesbot answer for the whole channel, in a thread under a note saying who shared it
+app.action('share_answer', async ({ ack, body, action, client }) => {
+  await ack();
+  
+  const channel = body.channel.id;
+  const userId = body.user.id;
+  const { sql, question, chartType, explanation } = JSON.parse(action.value);
+  
+  try {
+    const shared = await client.chat.postMessage({
+      channel: channel,
+      text: `📣 <@${userId}> shared an answer to: _${question}_`
+    });
+    const pinnedQuery = sql ? { sql, chartType, explanation } : null;
+    await answerQuestion({ question, channel, threadTs: shared.ts, client, userId, pinnedQuery });
+  } catch (error) {
+    console.error('Error sharing answer:', error);
+    await client.chat.postEphemeral({
+      channel: channel,
+      user: userId,
+      text: formatBlockedQueryMessage(error) || `❌ Couldn't share the answer: ${error.message}`
+    });
+  }
+});
+
+// Paging and sorting buttons on results messages
+app.action('results_page_prev', (args) => updateResultsView(args, () => ({ page: Number(args.action.value) })));
+app.action('results_page_next', (args) => updateResultsView(args, () => ({ page: Number(args.action.value) })));
+app.action(/^results_sort_\d+$/, (args) => updateResultsView(args, (view) => ({
+  page: 0,
+  sortKey: args.action.value,
+  // Pressing the active column again flips the direction
+  sortDir: view.sortKey === args.action.value && view.sortDir === 'desc' ? 'asc' : 'desc'
+})));
+
+// Record 👍/👎 feedback on answer messages
+app.event('reaction_added', async ({ event, context }) => {
+  if (event.item.type !== 'message' || event.user === context.botUserId) return;
+  await recordExampleFeedback(event.item.channel, event.item.ts, event.reaction, 1);
+});
+
+app.event('reaction_removed', async ({ event, context }) => {
+  if (event.item.type !== 'message' || event.user === context.botUserId) return;
+  await recordExampleFeedback(event.item.channel, event.item.ts, event.reaction, -1);
+});
+
+// Slash command for health check
+app.command('/salesbot-health', async ({ ack, respond }) => {
+  await ack();
+  
+  try {
+    await pool.query('SELECT 1');
+    await respond('✅ Bot is healthy! Database connection active.');
+  } catch (error) {
+    await respond(`❌ Database connection failed: ${error.message}`);
+  }
+});
+
+// Ask a question privately: /salesbot <question>, or /salesbot help
+app.command('/salesbot', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const question = (command.text || '').trim();
+  
+  try {
+    if (!question || question.toLowerCase() === 'help') {
+      const access = await resolveAccess({ client, userId: command.user_id, channel: command.channel_id });
+      await respond(salesbotHelp(access));
+      return;
+    }
+    
+    // Saved queries run ephemerally like any other answer (there's no thread to "save this" from)
+    const savedQueryCommand = parseSavedQueryCommand(question);
+    if (savedQueryCommand) {
+      await handleSavedQueryCommand(savedQueryCommand, {
+        client,
+        channel: command.channel_id,
+        userId: command.user_id,
+        reply: respond,
+        ephemeral: true
+      });
+      return;
+    }
+    
+    // Check if question is relevant to sales data
+    const isRelevant = await isQuestionRelevant(question);
+    
+    if (!isRelevant) {
+      await respond("🤔 I'm specialized in analyzing Amazon sales data, so I can't help with that one. Try `/salesbot help` for example questions.");
+      return;
+    }
+    
+    await answerQuestion({ question, channel: command.channel_id, client, userId: command.user_id, ephemeral: true });
+  } catch (error) {
+    // Ephemeral messages need the bot in the conversation
+    if (error.data && ['channel_not_found', 'not_in_channel'].includes(error.data.error)) {
+      await respond('👋 I can\'t reply here yet — invite me with `/invite @salesbot`, or ask me in a DM.');
+      return;
+    }
+    const blockedMessage = formatBlockedQueryMessage(error);
+    if (blockedMessage) {
+      console.warn('Blocked query:', error.message);
+      await respond(blockedMessage);
+      return;
+    }
+    console.error('Error handling /salesbot:', error);
+    await respond(`❌ Oops! Something went wrong: ${error.message}`);
+  }
+});
+
+// Slash command for clearing the answer cache (e.g. right after a manual data load)
+app.command('/salesbot-cache', async ({ command, ack, respond }) => {
+  await ack();
+  
+  const subcommand = (command.text || '').trim().toLowerCase();
+  try {
+    if (subcommand === 'clear') {
+      await invalidateCache();
+      await respond('♻️ Cached results and summaries cleared — the next answers will come straight from the database.');
+    } else if (subcommand === 'clear all') {
+      // Cached SQL is shared by everyone (and every instance with the postgres store), so only admins drop it
+      if (!isBotAdmin(command.user_id)) {
+        await respond('🔒 Only bot admins can clear the cached SQL — they\'re listed under `"admins"` in the access rules file. `/salesbot-cache clear` drops cached results and summaries.');
+        return;
+      }
+      await invalidateCache(['question:', 'rows:', 'summary:']);
+      await respond('♻️ Everything cached was cleared, including the SQL generated for past questions.');
+    } else {
+      await respond(`♻️ *Answer cache* (${CACHE_STORE})\n• \`/salesbot-cache clear\` — drop cached results and summaries\n• \`/salesbot-cache clear all\` — also drop the SQL cached for past questions (bot admins only)\n\nResults are cached for ${Math.round(CACHE_RESULT_TTL_MS / 60000)} min. Data loaders can run \`NOTIFY ${CACHE_INVALIDATE_CHANNEL}\` to clear them automatically.`);
+    }
+  } catch (error) {
+    console.error('Error handling /salesbot-cache:', error);
+    await respond(`❌ ${error.message}`);
+  }
+});
+
+// Slash command for AI spend by user and day
+app.command('/salesbot-usage', async ({ command, ack, respond }) => {
+  await ack();
+  
+  const days = Math.min(parseInt(command.text, 10) || 7, 90);
+  try {
+    await respond(await describeUsage(command, days));
+  } catch (error) {
+    console.error('Error handling /salesbot-usage:', error);
+    await respond(`❌ ${error.message}`);
+  }
+});
+
+// Slash command for scheduled report subscriptions
+app.command('/salesbot-subscribe', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const text = (command.text || '').trim();
+  const [subcommand, ...args] = text.split(/\s+/);
+  
+  try {
+    switch ((subcommand || '').toLowerCase()) {
+      case '':
+      case 'help':
+        await respond(SUBSCRIBE_HELP);
+        break;
+      case 'list':
+        await respond(await listSubscriptions(command));
+        break;
+      case 'pause':
+      case 'resume':
+      case 'delete':
+        await respond(await updateSubscription(subcommand.toLowerCase(), args[0], command));
+        break;
+      default:
+        await respond('⏳ Setting up your scheduled report...');
+        await respond(await createSubscription({ client, command, text }));
+    }
+  } catch (error) {
+    console.error('Error handling /salesbot-subscribe:', error);
+    await respond(formatBlockedQueryMessage(error) || `❌ ${error.message}`);
+  }
+});
+
+// Slash command for metric alerts
+app.command('/salesbot-alert', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const text = (command.text || '').trim();
+  const [subcommand, ...args] = text.split(/\s+/);
+  
+  try {
+    switch ((subcommand || '').toLowerCase()) {
+      case '':
+      case 'help':
+        await respond(alertHelp());
+        break;
+      case 'list':
+        await respond(await listAlerts(command));
+        break;
+      case 'pause':
+      case 'resume':
+      case 'delete':
+        await respond(await updateAlert(subcommand.toLowerCase(), args[0], command));
+        break;
+      default:
+        await respond(await createAlert({ client, command, text }));
+    }
+  } catch (error) {
+    console.error('Error handling /salesbot-alert:', error);
+    await respond(formatBlockedQueryMessage(error) || `❌ ${error.message}`);
+  }
+});
+
+// Pipeline pieces used by the evaluation runner (eval/run-eval.js)
+module.exports = {
+  pool,
+  getLlmProvider,
+  setLlmProvider,
+  refreshSchemaCatalog,
+  loadSemanticLayer,
+  ensureExampleStore,
+  ensureUsageStore,
+  processQuestionWithAI,
+  processQuestion,
+  queryDatabase,
+  isFollowUpRequest
+};
+
+// Start the app (only when run directly, not when loaded by the evaluation runner)
+if (require.main === module) {
+  (async () => {
+    await testDatabaseConnection();
+    if (!(await refreshSchemaCatalog())) {
+      console.error('❌ Could not build the schema catalog');
+      process.exit(1);
+    }
+    setInterval(refreshSchemaCatalog, SCHEMA_REFRESH_MS);
+    if (!loadSemanticLayer()) {
+      console.error('❌ Refusing to start without a valid metrics catalog');
+      process.exit(1);
+    }
+    if (!loadAccessRules()) {
+      console.error('❌ Refusing to start without valid access rules');
+      process.exit(1);
+    }
+    await ensureExampleStore();
+    await ensureSubscriptionStore();
+    await ensureAlertStore();
+    await ensureUsageStore();
+    await ensurePreferenceStore();
+    await ensureQuestionHistoryStore();
+    await ensureSavedQueryStore();
+    await cacheStore.init();
+    await listenForDataLoads();
+    await app.init();
+    await app.start();
+    setInterval(() => runDueSubscriptions(app.client), SCHEDULER_INTERVAL_MS);
+    setInterval(() => evaluateAlerts(app.client), ALERT_CHECK_INTERVAL_MS);
+    console.log('⚡️ Slack bot is running!');
+    console.log('💬 You can now message your bot in Slack!');
+  })();
+}
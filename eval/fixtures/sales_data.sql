@@ -0,0 +1,88 @@
+-- Fixture data for the evaluation runner (eval/run-eval.js). Loaded into the EVAL database only.
+DROP TABLE IF EXISTS sales_data;
+CREATE TABLE sales_data (
+  id SERIAL PRIMARY KEY,
+  sale_date DATE NOT NULL,
+  product_name VARCHAR(200) NOT NULL,
+  category VARCHAR(100) NOT NULL,
+  country VARCHAR(100) NOT NULL,
+  revenue NUMERIC(10, 2) NOT NULL,
+  rating NUMERIC(2, 1),
+  quantity_sold INTEGER NOT NULL
+);
+
+INSERT INTO sales_data (id, sale_date, product_name, category, country, revenue, rating, quantity_sold) VALUES
+  (1, '2024-01-01', 'Board Game', 'Toys & Games', 'India', 181.15, 4.8, 5),
+  (2, '2024-01-01', 'Face Serum', 'Beauty', 'India', 68.65, 4.6, 2),
+  (3, '2024-01-02', 'USB-C Charger', 'Electronics', 'UK', 97.60, 4.8, 4),
+  (4, '2024-01-02', 'Air Fryer', 'Home & Kitchen', 'Germany', 343.71, 3.6, 4),
+  (5, '2024-01-02', 'Air Fryer', 'Home & Kitchen', 'India', 79.48, 4.6, 1),
+  (6, '2024-01-03', 'Chef Knife Set', 'Home & Kitchen', 'Japan', 119.19, 4.3, 2),
+  (7, '2024-01-03', 'Yoga Mat', 'Sports & Outdoors', 'India', 58.25, 3.2, 2),
+  (8, '2024-01-03', 'Camping Tent', 'Sports & Outdoors', 'UK', 273.74, 4.5, 2),
+  (9, '2024-01-05', 'Camping Tent', 'Sports & Outdoors', 'USA', 642.29, 4.6, 5),
+  (10, '2024-01-05', 'Air Fryer', 'Home & Kitchen', 'Germany', 331.04, 4.8, 4),
+  (11, '2024-01-05', 'Face Serum', 'Beauty', 'USA', 152.66, 3.9, 5),
+  (12, '2024-01-06', 'Air Fryer', 'Home & Kitchen', 'Germany', 234.14, 4.6, 3),
+  (13, '2024-01-08', 'Camping Tent', 'Sports & Outdoors', 'India', 284.96, 4.9, 2),
+  (14, '2024-01-08', 'USB-C Charger', 'Electronics', 'Germany', 85.60, 4.6, 4),
+  (15, '2024-01-10', 'Board Game', 'Toys & Games', 'UK', 108.76, 4.8, 3),
+  (16, '2024-01-11', 'Wireless Earbuds', 'Electronics', 'Germany', 306.90, 3.2, 4),
+  (17, '2024-01-12', 'Hair Dryer', 'Beauty', 'UK', 138.59, 4.9, 3),
+  (18, '2024-01-14', 'USB-C Charger', 'Electronics', 'UK', 44.49, 4.6, 2),
+  (19, '2024-01-15', 'Wireless Earbuds', 'Electronics', 'USA', 235.96, 4.6, 3),
+  (20, '2024-01-16', 'Camping Tent', 'Sports & Outdoors', 'UK', 680.57, 4.1, 5),
+  (21, '2024-01-16', 'Wireless Earbuds', 'Electronics', 'USA', 388.89, 3.2, 5),
+  (22, '2024-01-17', 'Rain Jacket', 'Clothing', 'Germany', 137.38, 4.6, 2),
+  (23, '2024-01-19', 'Yoga Mat', 'Sports & Outdoors', 'India', 59.26, 4.5, 2),
+  (24, '2024-01-19', 'Chef Knife Set', 'Home & Kitchen', 'Germany', 274.27, 4.3, 5),
+  (25, '2024-01-20', 'Wireless Earbuds', 'Electronics', 'USA', 214.93, 4.8, 3),
+  (26, '2024-01-20', 'Wireless Earbuds', 'Electronics', 'USA', 212.60, 3.2, 3),
+  (27, '2024-01-23', 'Board Game', 'Toys & Games', 'India', 35.13, 3.6, 1),
+  (28, '2024-01-25', 'USB-C Charger', 'Electronics', 'India', 111.72, 4.6, 5),
+  (29, '2024-01-26', 'Yoga Mat', 'Sports & Outdoors', 'India', 113.97, 4.9, 4),
+  (30, '2024-01-27', 'Rain Jacket', 'Clothing', 'Japan', 62.32, 3.2, 1),
+  (31, '2024-01-27', 'Board Game', 'Toys & Games', 'Canada', 193.62, 4.9, 5),
+  (32, '2024-01-28', 'Air Fryer', 'Home & Kitchen', 'USA', 328.17, 3.2, 4),
+  (33, '2024-01-29', 'Face Serum', 'Beauty', 'Canada', 94.92, 4.6, 3),
+  (34, '2024-01-30', 'Smart Watch', 'Electronics', 'Canada', 680.67, 4.3, 4),
+  (35, '2024-01-30', 'Hair Dryer', 'Beauty', 'UK', 129.74, 3.6, 3),
+  (36, '2024-01-31', 'USB-C Charger', 'Electronics', 'UK', 42.56, 4.3, 2),
+  (37, '2024-01-31', 'Smart Watch', 'Electronics', 'Canada', 886.62, 3.6, 5),
+  (38, '2024-02-04', 'Running Shoes', 'Clothing', 'India', 512.50, 4.9, 5),
+  (39, '2024-02-06', 'Yoga Mat', 'Sports & Outdoors', 'India', 26.19, 3.9, 1),
+  (40, '2024-02-07', 'Chef Knife Set', 'Home & Kitchen', 'Germany', 106.88, 3.2, 2),
+  (41, '2024-02-08', 'Rain Jacket', 'Clothing', 'USA', 188.02, 4.8, 3),
+  (42, '2024-02-09', 'Smart Watch', 'Electronics', 'USA', 708.95, 4.8, 4),
+  (43, '2024-02-12', 'Air Fryer', 'Home & Kitchen', 'Germany', 178.68, 4.3, 2),
+  (44, '2024-02-16', 'Wireless Earbuds', 'Electronics', 'USA', 295.03, 4.6, 4),
+  (45, '2024-02-19', 'Camping Tent', 'Sports & Outdoors', 'USA', 145.76, 3.6, 1),
+  (46, '2024-02-20', 'Camping Tent', 'Sports & Outdoors', 'UK', 132.51, 4.8, 1),
+  (47, '2024-02-22', 'Rain Jacket', 'Clothing', 'Canada', 315.39, 4.9, 5),
+  (48, '2024-02-22', 'Rain Jacket', 'Clothing', 'Japan', 301.78, 3.9, 5),
+  (49, '2024-02-23', 'Face Serum', 'Beauty', 'Canada', 31.23, 4.8, 1),
+  (50, '2024-02-24', 'Air Fryer', 'Home & Kitchen', 'India', 83.08, 4.3, 1),
+  (51, '2024-02-25', 'Hair Dryer', 'Beauty', 'UK', 97.59, 4.1, 2),
+  (52, '2024-02-26', 'Air Fryer', 'Home & Kitchen', 'Japan', 391.47, 4.9, 5),
+  (53, '2024-02-26', 'Yoga Mat', 'Sports & Outdoors', 'India', 82.32, 4.5, 3),
+  (54, '2024-02-27', 'Running Shoes', 'Clothing', 'India', 104.57, 3.2, 1),
+  (55, '2024-02-28', 'Smart Watch', 'Electronics', 'Canada', 174.92, 4.8, 1),
+  (56, '2024-02-28', 'Chef Knife Set', 'Home & Kitchen', 'Japan', 258.47, 3.2, 5),
+  (57, '2024-02-28', 'Chef Knife Set', 'Home & Kitchen', 'Japan', 154.03, 3.2, 3),
+  (58, '2024-02-29', 'Camping Tent', 'Sports & Outdoors', 'USA', 563.84, 4.3, 4),
+  (59, '2024-03-05', 'Running Shoes', 'Clothing', 'Japan', 218.22, 4.5, 2),
+  (60, '2024-03-09', 'Hair Dryer', 'Beauty', 'UK', 86.48, 4.5, 2),
+  (61, '2024-03-10', 'Rain Jacket', 'Clothing', 'Germany', 62.04, 4.6, 1),
+  (62, '2024-03-13', 'Yoga Mat', 'Sports & Outdoors', 'Canada', 103.60, 3.6, 4),
+  (63, '2024-03-15', 'Running Shoes', 'Clothing', 'Japan', 107.08, 3.6, 1),
+  (64, '2024-03-15', 'Air Fryer', 'Home & Kitchen', 'Germany', 324.83, 4.8, 4),
+  (65, '2024-03-18', 'Face Serum', 'Beauty', 'Canada', 96.74, 3.6, 3),
+  (66, '2024-03-18', 'USB-C Charger', 'Electronics', 'UK', 107.71, 4.9, 5),
+  (67, '2024-03-21', 'Running Shoes', 'Clothing', 'Japan', 118.53, 3.6, 1),
+  (68, '2024-03-23', 'Rain Jacket', 'Clothing', 'Germany', 138.90, 4.3, 2),
+  (69, '2024-03-26', 'Board Game', 'Toys & Games', 'India', 155.78, 4.6, 4),
+  (70, '2024-03-26', 'Smart Watch', 'Electronics', 'India', 191.71, 4.5, 1),
+  (71, '2024-03-28', 'Board Game', 'Toys & Games', 'India', 39.63, 4.6, 1),
+  (72, '2024-03-29', 'Rain Jacket', 'Clothing', 'India', 67.06, 4.1, 1);
+
+SELECT setval('sales_data_id_seq', (SELECT MAX(id) FROM sales_data));
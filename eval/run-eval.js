@@ -0,0 +1,304 @@
+// Golden-question evaluation: runs every question in golden-questions.json through the AI and
+// rule-based paths against a local Postgres seeded with fixture data, and compares result sets.
+// It also checks which thread replies count as follow-ups (sent to the AI) rather than acknowledgements.
+//
+//   node eval/run-eval.js [--llm live|record|replay|stub] [--paths ai,rules] [--category name]
+//                         [--min-accuracy 0.8] [--golden file] [--recordings file]
+//
+// LLM modes: live calls the configured SQL provider, record calls it and saves the responses, replay answers
+// from the saved responses (offline), stub answers with each question's expected SQL (offline, checks the runner).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const EVAL_DIR = __dirname;
+const LLM_MODES = ['live', 'record', 'replay', 'stub'];
+const PATHS = ['ai', 'rules'];
+
+// Parse --flag value pairs from the command line
+function parseArgs(argv) {
+  const args = {
+    llm: 'replay',
+    paths: PATHS,
+    category: null,
+    minAccuracy: null,
+    golden: path.join(EVAL_DIR, 'golden-questions.json'),
+    recordings: path.join(EVAL_DIR, 'recordings.json')
+  };
+  
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === '--llm') args.llm = value;
+    else if (flag === '--paths') args.paths = value.split(',').map(p => p.trim());
+    else if (flag === '--category') args.category = value;
+    else if (flag === '--min-accuracy') args.minAccuracy = parseFloat(value);
+    else if (flag === '--golden') args.golden = path.resolve(value);
+    else if (flag === '--recordings') args.recordings = path.resolve(value);
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  
+  if (!LLM_MODES.includes(args.llm)) throw new Error(`--llm must be one of ${LLM_MODES.join(', ')}`);
+  if (args.paths.some(p => !PATHS.includes(p))) throw new Error(`--paths must be a list of ${PATHS.join(', ')}`);
+  return args;
+}
+
+// Point the bot's pool at the evaluation database (never the one from .env, since the fixture replaces sales_data)
+function useEvalDatabase() {
+  const evalDb = {
+    host: process.env.EVAL_DB_HOST || 'localhost',
+    port: process.env.EVAL_DB_PORT || '5432',
+    name: process.env.EVAL_DB_NAME || 'salesbot_eval',
+    user: process.env.EVAL_DB_USER || process.env.DB_USER,
+    password: process.env.EVAL_DB_PASSWORD || process.env.DB_PASSWORD
+  };
+  
+  const sameAsBot = evalDb.host === (process.env.DB_HOST || 'localhost') &&
+    String(evalDb.port) === String(process.env.DB_PORT || '5432') &&
+    evalDb.name === process.env.DB_NAME;
+  if (sameAsBot) {
+    throw new Error(`EVAL_DB_NAME (${evalDb.name}) is the bot's own database — the fixture would replace sales_data. Use a separate database.`);
+  }
+  
+  process.env.DB_HOST = evalDb.host;
+  process.env.DB_PORT = evalDb.port;
+  process.env.DB_NAME = evalDb.name;
+  process.env.DB_USER = evalDb.user;
+  process.env.DB_PASSWORD = evalDb.password;
+  
+  // Slack is never contacted, but the app needs tokens to be constructed
+  process.env.SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN || 'xoxb-eval';
+  process.env.SLACK_APP_TOKEN = process.env.SLACK_APP_TOKEN || 'xapp-eval';
+  
+  // The evaluation runs every query with full access
+  delete process.env.ACCESS_RULES_FILE;
+  return evalDb;
+}
+
+// Hash of a prompt, so replays can tell when the prompt changed since recording
+function promptHash(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+// Replace the SQL generation provider according to the LLM mode
+function installLlmMode(bot, mode, recordings, current) {
+  const configuredProvider = bot.getLlmProvider('sql');
+  const respond = (text) => ({ text: text, model: `eval-${mode}`, usage: { inputTokens: 0, outputTokens: 0 } });
+  
+  bot.setLlmProvider('sql', {
+    name: `eval-${mode}`,
+    async complete(request) {
+      const golden = current.question;
+      
+      if (mode === 'stub') {
+        return respond(JSON.stringify({ sql: golden.expectedSql, chartType: null, explanation: 'stub response' }));
+      }
+      
+      if (mode === 'replay') {
+        const recording = recordings[golden.id];
+        if (!recording) {
+          current.llmError = 'no recorded response (run with --llm record first)';
+          throw new Error(current.llmError);
+        }
+        if (recording.promptHash !== promptHash(request.prompt)) current.staleRecording = true;
+        return respond(recording.text);
+      }
+      
+      // live and record use the provider configured for SQL generation (SQL_LLM_* / LLM_*)
+      const response = await configuredProvider.complete(request);
+      if (mode === 'record') {
+        recordings[golden.id] = { promptHash: promptHash(request.prompt), text: response.text, model: response.model, recordedAt: new Date().toISOString() };
+      }
+      return response;
+    }
+  });
+}
+
+// Normalize a value for comparison: numbers to 2 decimals, dates and months to YYYY-MM-DD, text trimmed
+function normalizeValue(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) {
+    // pg parses DATE and TIMESTAMP columns as local time
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))) {
+    return Number(value).toFixed(2);
+  }
+  
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}$/.test(text)) return `${text}-01`;
+  if (/^\d{4}-\d{2}-\d{2}[T ]/.test(text)) return text.slice(0, 10);
+  return text.toLowerCase();
+}
+
+// Compare result sets, ignoring column names and extra columns: every expected column must match a
+// distinct actual column, row for row (in order when the golden question says so)
+function compareResults(expected, actual, ordered) {
+  if (actual.length !== expected.length) {
+    return { match: false, reason: `expected ${expected.length} rows, got ${actual.length}` };
+  }
+  if (expected.length === 0) return { match: true };
+  
+  const columnValues = (rows) => Object.fromEntries(Object.keys(rows[0]).map(key => [key, rows.map(row => normalizeValue(row[key]))]));
+  const expectedColumns = columnValues(expected);
+  const actualColumns = columnValues(actual);
+  const signature = (values) => (ordered ? values : [...values].sort()).join('\u0000');
+  
+  const expectedKeys = Object.keys(expectedColumns);
+  const candidates = expectedKeys.map(key => Object.keys(actualColumns)
+    .filter(actualKey => signature(actualColumns[actualKey]) === signature(expectedColumns[key])));
+  
+  const missing = expectedKeys.find((key, index) => candidates[index].length === 0);
+  if (missing) {
+    return { match: false, reason: `no column matches expected \`${missing}\`` };
+  }
+  
+  // Try each assignment of expected → actual columns until the rows line up as tuples
+  const rowsMatch = (assignment) => {
+    const tuples = (columns, keys) => expected.map((_, i) => keys.map(key => columns[key][i]).join('\u0000'));
+    const want = tuples(expectedColumns, expectedKeys);
+    const got = tuples(actualColumns, assignment);
+    return ordered ? want.join('\n') === got.join('\n') : [...want].sort().join('\n') === [...got].sort().join('\n');
+  };
+  const search = (index, assignment) => {
+    if (index === expectedKeys.length) return rowsMatch(assignment);
+    return candidates[index].some(key => !assignment.includes(key) && search(index + 1, [...assignment, key]));
+  };
+  
+  return search(0, []) ? { match: true } : { match: false, reason: 'columns match but rows are paired differently' };
+}
+
+// Run one question through one path: { match, reason, sql }
+async function runPath(bot, golden, pathName, expected, current) {
+  let sql = null;
+  try {
+    const queryResult = pathName === 'ai'
+      ? await bot.processQuestionWithAI(golden.question)
+      : bot.processQuestion(golden.question);
+    if (!queryResult) return { match: false, reason: (pathName === 'ai' && current.llmError) || 'no SQL generated', sql };
+    if (queryResult.clarification) return { match: false, reason: `asked for clarification: ${queryResult.clarification.question}`, sql };
+    
+    sql = queryResult.sql || queryResult;
+    const { rows: actual } = await bot.queryDatabase(sql, { params: queryResult.params });
+    return { ...compareResults(expected, actual, Boolean(golden.ordered)), sql };
+  } catch (error) {
+    return { match: false, reason: error.message, sql };
+  }
+}
+
+// Print accuracy per category and path, returning the overall accuracy per path
+function printReport(results, paths) {
+  const categories = [...new Set(results.map(r => r.golden.category))];
+  const accuracy = (rows, pathName) => rows.filter(r => r[pathName].match).length / rows.length;
+  const percent = (value) => `${(value * 100).toFixed(0)}%`.padStart(5);
+  
+  console.log('\n📊 Accuracy by category');
+  console.log(`${'category'.padEnd(14)}${'n'.padStart(4)}${paths.map(p => p.padStart(8)).join('')}`);
+  categories.forEach(category => {
+    const rows = results.filter(r => r.golden.category === category);
+    console.log(`${category.padEnd(14)}${String(rows.length).padStart(4)}${paths.map(p => `   ${percent(accuracy(rows, p))}`).join('')}`);
+  });
+  
+  const overall = Object.fromEntries(paths.map(p => [p, accuracy(results, p)]));
+  console.log(`${'overall'.padEnd(14)}${String(results.length).padStart(4)}${paths.map(p => `   ${percent(overall[p])}`).join('')}`);
+  return overall;
+}
+
+// Check that thread replies are told apart the way golden-questions.json expects (returns the misclassified ones)
+function checkThreadReplies(bot, threadReplies) {
+  const cases = [
+    ...(threadReplies.followUps || []).map(text => ({ text, expected: true })),
+    ...(threadReplies.acknowledgements || []).map(text => ({ text, expected: false }))
+  ];
+  
+  console.log(`\n💬 Thread replies: ${cases.length} replies`);
+  const wrong = cases.filter(({ text, expected }) => bot.isFollowUpRequest(text) !== expected);
+  wrong.forEach(({ text, expected }) => {
+    console.log(`❌ "${text}" should ${expected ? 'be answered as a follow-up' : 'be ignored as an acknowledgement'}`);
+  });
+  console.log(`${cases.length - wrong.length}/${cases.length} classified as expected`);
+  return wrong;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const goldenFile = JSON.parse(fs.readFileSync(args.golden, 'utf8'));
+  const questions = goldenFile.questions.filter(q => !args.category || q.category === args.category);
+  const recordings = fs.existsSync(args.recordings) ? JSON.parse(fs.readFileSync(args.recordings, 'utf8')) : {};
+  
+  // Replay needs recorded responses; without any (e.g. a fresh clone) run offline with stub answers instead,
+  // except as an accuracy gate, which stub answers would always pass
+  if (args.llm === 'replay' && !fs.existsSync(args.recordings)) {
+    if (args.minAccuracy !== null) throw new Error(`no recordings at ${args.recordings} to check --min-accuracy against (run with --llm record first)`);
+    console.warn(`⚠️ No recordings at ${path.relative(process.cwd(), args.recordings)} — falling back to --llm stub (run with --llm record to create them)`);
+    args.llm = 'stub';
+  }
+  
+  const evalDb = useEvalDatabase();
+  const bot = require('../bot');
+  
+  try {
+    // Seed the fixture and build the schema catalog from it
+    console.log(`🌱 Seeding ${evalDb.name}@${evalDb.host} with ${goldenFile.fixture}`);
+    await bot.pool.query(fs.readFileSync(path.join(path.dirname(args.golden), goldenFile.fixture), 'utf8'));
+    if (!(await bot.refreshSchemaCatalog())) throw new Error('could not build the schema catalog');
+    if (!bot.loadSemanticLayer()) throw new Error('could not load the metrics catalog');
+    await bot.ensureExampleStore();
+    await bot.ensureUsageStore();
+    
+    const current = { question: null, staleRecording: false, llmError: null };
+    installLlmMode(bot, args.llm, recordings, current);
+    
+    console.log(`🧪 Golden questions v${goldenFile.version}: ${questions.length} questions, LLM mode: ${args.llm}\n`);
+    const results = [];
+    for (const golden of questions) {
+      current.question = golden;
+      current.staleRecording = false;
+      current.llmError = null;
+      
+      let expected;
+      try {
+        ({ rows: expected } = await bot.queryDatabase(golden.expectedSql));
+      } catch (error) {
+        throw new Error(`expected SQL of "${golden.id}" failed: ${error.message}`);
+      }
+      const result = { golden };
+      for (const pathName of args.paths) {
+        result[pathName] = await runPath(bot, golden, pathName, expected, current);
+      }
+      results.push(result);
+      
+      const marks = args.paths.map(p => `${p} ${result[p].match ? '✅' : '❌'}`).join('  ');
+      console.log(`${marks}  [${golden.category}] ${golden.question}${current.staleRecording ? ' (recorded with an older prompt)' : ''}`);
+      args.paths.filter(p => !result[p].match).forEach(p => {
+        console.log(`      ${p}: ${result[p].reason}${result[p].sql ? `\n        ${result[p].sql.replace(/\s+/g, ' ')}` : ''}`);
+      });
+    }
+    
+    if (args.llm === 'record') {
+      fs.writeFileSync(args.recordings, `${JSON.stringify(recordings, null, 2)}\n`);
+      console.log(`\n💾 Saved ${Object.keys(recordings).length} recorded responses to ${path.relative(process.cwd(), args.recordings)}`);
+    }
+    
+    const overall = printReport(results, args.paths);
+    
+    // Classification is rule-based, so any miss fails the run
+    if (goldenFile.threadReplies && checkThreadReplies(bot, goldenFile.threadReplies).length > 0) {
+      process.exitCode = 1;
+    }
+    
+    // Fail the run (e.g. in CI before deploy) when the AI path drops below the threshold
+    if (args.minAccuracy !== null && args.paths.includes('ai') && overall.ai < args.minAccuracy) {
+      console.error(`\n❌ AI accuracy ${(overall.ai * 100).toFixed(0)}% is below the minimum of ${(args.minAccuracy * 100).toFixed(0)}%`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await bot.pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});